@@ -1,5 +1,17 @@
 // Netlify Function to proxy Webflow API requests (avoids CORS)
 
+// Rate-limit headers passed back to the client so it can pace its requests
+const FORWARDED_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'];
+
+function forwardHeaders(headers) {
+  const forwarded = {};
+  for (const name of FORWARDED_HEADERS) {
+    const value = headers.get(name);
+    if (value !== null) forwarded[name] = value;
+  }
+  return forwarded;
+}
+
 export async function handler(event) {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
@@ -37,31 +49,23 @@ export async function handler(event) {
       },
     };
 
-    if (body && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
+    if (body && ['POST', 'PATCH', 'PUT', 'DELETE'].includes(method)) {
       fetchOptions.body = JSON.stringify(body);
     }
 
     const response = await fetch(url, fetchOptions);
-    const data = await response.json();
-
-    if (!response.ok) {
-      return {
-        statusCode: response.status,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify(data),
-      };
-    }
+    const text = await response.text();
 
+    // DELETE and some PATCH calls return 204 with no body; answer with an empty object instead
     return {
-      statusCode: 200,
+      statusCode: response.status === 204 ? 200 : response.status,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': FORWARDED_HEADERS.join(', '),
+        ...forwardHeaders(response.headers),
       },
-      body: JSON.stringify(data),
+      body: text || '{}',
     };
   } catch (error) {
     return {
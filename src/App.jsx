@@ -2,12 +2,13 @@ import { useState, useEffect, useCallback } from 'react';
 import { 
   Database, Image, Settings, Upload, Download, Trash2, Plus, 
   ChevronRight, Check, X, AlertCircle, Loader2, RefreshCw,
-  FolderOpen, FileJson, Grid3X3, Eye, Edit2, Save, Crop
+  FolderOpen, FileJson, Grid3X3, Eye, Edit2, Save, Crop, Copy
 } from 'lucide-react';
 import WebflowClient, { isValidToken, FIELD_TYPES } from './utils/webflow';
 import ImageProcessor from './components/ImageProcessor';
 import CMSManager from './components/CMSManager';
 import DataImporter from './components/DataImporter';
+import CollectionCloner from './components/CollectionCloner';
 
 function App() {
   const [activeTab, setActiveTab] = useState('cms');
@@ -181,6 +182,15 @@ function App() {
                 Data Import
               </span>
             </button>
+            <button
+              onClick={() => setActiveTab('clone')}
+              className={`tab ${activeTab === 'clone' ? 'active' : ''}`}
+            >
+              <span className="flex items-center gap-2">
+                <Copy className="w-4 h-4" />
+                Clone
+              </span>
+            </button>
             <button
               onClick={() => setActiveTab('images')}
               className={`tab ${activeTab === 'images' ? 'active' : ''}`}
@@ -213,8 +223,21 @@ function App() {
             isConnected={isConnected}
           />
         )}
+        {activeTab === 'clone' && (
+          <CollectionCloner
+            client={client}
+            sites={sites}
+            site={selectedSite}
+            isConnected={isConnected}
+          />
+        )}
         {activeTab === 'images' && (
-          <ImageProcessor />
+          <ImageProcessor
+            client={client}
+            site={selectedSite}
+            collections={collections}
+            isConnected={isConnected}
+          />
         )}
       </main>
 
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { Loader2, CheckCircle2, AlertCircle, X } from 'lucide-react';
+import { BULK_ACTIONS, runBulkAction } from '../utils/bulkActions';
+
+const STATUS_BADGES = {
+  done: 'badge-success',
+  skipped: 'badge-info',
+  failed: 'badge-error',
+};
+
+/**
+ * Publish, unpublish, archive, draft or delete the selected items, with a
+ * per-item report of what happened
+ */
+function BulkActions({ client, collection, selectedItems, onComplete, onClearSelection }) {
+  const [runningAction, setRunningAction] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    const { label, isDestructive } = BULK_ACTIONS[action];
+    const count = selectedItems.length;
+    const message = isDestructive
+      ? `Permanently delete ${count} items from ${collection.displayName || collection.name}? This can't be undone.`
+      : `${label} ${count} items?`;
+    if (!confirm(message)) return;
+
+    setRunningAction(action);
+    setError(null);
+    setResult(null);
+    try {
+      const outcome = await runBulkAction(client, collection.id, selectedItems, action, setProgress);
+      setResult({ action, report: outcome.report });
+      onComplete(outcome);
+    } catch (err) {
+      setError(`${label} failed: ${err.message}`);
+    } finally {
+      setRunningAction(null);
+      setProgress(null);
+    }
+  };
+
+  const counts = result ? {
+    done: result.report.filter(r => r.status === 'done').length,
+    skipped: result.report.filter(r => r.status === 'skipped').length,
+    failed: result.report.filter(r => r.status === 'failed').length,
+  } : null;
+
+  return (
+    <div className="mb-4">
+      {selectedItems.length > 0 && (
+        <div className="p-3 bg-pm-accent/5 border border-pm-accent/30 flex flex-wrap items-center gap-2">
+          <span className="text-sm text-pm-text mr-2">{selectedItems.length} selected</span>
+          {Object.entries(BULK_ACTIONS).map(([key, { label, description, isDestructive }]) => (
+            <button
+              key={key}
+              onClick={() => run(key)}
+              disabled={!!runningAction}
+              title={description}
+              className={`btn text-xs px-3 py-1.5 ${isDestructive ? 'btn-danger' : 'btn-secondary'}`}
+            >
+              {runningAction === key && <Loader2 className="w-3 h-3 animate-spin" />}
+              {label}
+            </button>
+          ))}
+          {progress && <span className="text-xs text-pm-text-muted">{progress.message}</span>}
+          <button onClick={onClearSelection} disabled={!!runningAction} className="btn btn-ghost text-xs px-3 py-1.5 ml-auto">
+            <X className="w-3 h-3" />
+            Clear
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-3 p-3 bg-pm-error/10 border border-pm-error/30 flex items-center gap-3 text-pm-error text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+          <button onClick={() => setError(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-3">
+          <div className={`p-3 text-sm border flex items-center gap-2 ${counts.failed > 0 ? 'bg-pm-warning/10 border-pm-warning/30 text-pm-text' : 'bg-pm-success/10 border-pm-success/30 text-pm-success'}`}>
+            {counts.failed > 0 ? <AlertCircle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+            {counts.done} items {BULK_ACTIONS[result.action].past}
+            {counts.skipped > 0 && `, ${counts.skipped} skipped`}
+            {counts.failed > 0 && `, ${counts.failed} failed`}.
+            <button onClick={() => setResult(null)} className="ml-auto">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="bg-pm-dark border border-pm-border border-t-0 max-h-48 overflow-auto">
+            <table>
+              <tbody>
+                {result.report.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="px-3 py-2 text-pm-text">{entry.name}</td>
+                    <td className="px-3 py-2">
+                      <span className={`badge ${STATUS_BADGES[entry.status]}`}>{entry.status}</span>
+                    </td>
+                    <td className={`px-3 py-2 text-xs ${entry.status === 'failed' ? 'text-pm-error' : ''}`}>{entry.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkActions;
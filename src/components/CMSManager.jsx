@@ -1,10 +1,22 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, Fragment } from 'react';
 import { 
   Database, ChevronRight, Plus, Trash2, Edit2, Save, X, 
-  Loader2, RefreshCw, Eye, FileJson, Download, AlertCircle,
+  Loader2, RefreshCw, Eye, FileJson, Download, AlertCircle, CheckCircle2,
   Type, Image, Hash, Calendar, ToggleLeft, Link, List, File
 } from 'lucide-react';
 import { FIELD_TYPES } from '../utils/webflow';
+import ItemGrid from './ItemGrid';
+import FindReplace from './FindReplace';
+import ItemFilterBar from './ItemFilterBar';
+import BulkActions from './BulkActions';
+import FieldSettings from './FieldSettings';
+import NewCollectionForm from './NewCollectionForm';
+import SchemaApply from './SchemaApply';
+import { EMPTY_FILTERS, filterItems, sortItems } from '../utils/itemFilters';
+import { mergeSavedItems } from '../utils/itemUpdates';
+import { loadReferenceSlugs, downloadItemsCsv, downloadItemsXlsx } from '../utils/itemExport';
+import { buildSchema } from '../utils/collectionSchema';
+import { emptyDraft, fieldToDraft, validateDraft, buildCreatePayload, buildUpdatePayload } from '../utils/fieldSchema';
 
 const FIELD_ICONS = {
   'PlainText': Type,
@@ -30,19 +42,50 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
   const [error, setError] = useState(null);
   const [editingField, setEditingField] = useState(null);
   const [newField, setNewField] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [isCreatingCollection, setIsCreatingCollection] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [isApplyingSchema, setIsApplyingSchema] = useState(false);
+
+  // The filtered, sorted items drive the grid, find & replace and exports
+  const fields = collectionDetails?.fields || [];
+  const visibleItems = useMemo(
+    () => sortItems(filterItems(items, filters, fields), sort, fields),
+    [items, filters, sort, fields]
+  );
+  const isFiltered = visibleItems.length !== items.length;
+
+  // Bulk actions apply to selected items that are still visible
+  const selectedItems = visibleItems.filter(item => selectedIds.has(item.id));
+
+  const handleItemsSaved = (saved) => setItems(prev => mergeSavedItems(prev, saved));
+
+  const handleBulkComplete = ({ changes, deleted }) => {
+    const removed = new Set(deleted);
+    setItems(prev => mergeSavedItems(prev, changes).filter(item => !removed.has(item.id)));
+    setSelectedIds(new Set());
+  };
 
   // Load collection details and items
   const loadCollection = async (collection) => {
     setSelectedCollection(collection);
     setIsLoading(true);
     setError(null);
+    setFilters(EMPTY_FILTERS);
+    setSort({ key: null, direction: 'asc' });
+    setSelectedIds(new Set());
+    setIsApplyingSchema(false);
 
     try {
       const details = await client.getCollection(collection.id);
       setCollectionDetails(details);
 
       setIsLoadingItems(true);
-      const itemsData = await client.getItems(collection.id, { limit: 100 });
+      const itemsData = await client.getAllItems(collection.id);
       setItems(itemsData);
     } catch (err) {
       setError(err.message);
@@ -69,17 +112,7 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
   // Export collection schema
   const exportSchema = () => {
     if (!collectionDetails) return;
-    const schema = {
-      name: collectionDetails.displayName || collectionDetails.name,
-      slug: collectionDetails.slug,
-      fields: collectionDetails.fields?.map(f => ({
-        name: f.displayName || f.name,
-        slug: f.slug,
-        type: f.type,
-        required: f.isRequired,
-        helpText: f.helpText,
-      })),
-    };
+    const schema = buildSchema(collectionDetails, collections);
     const blob = new Blob([JSON.stringify(schema, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -89,33 +122,101 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
     URL.revokeObjectURL(url);
   };
 
-  // Export items as JSON
-  const exportItems = () => {
-    if (!items.length) return;
-    const blob = new Blob([JSON.stringify(items, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${selectedCollection.slug}-items.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // A new collection was created (and possibly seeded from a schema file)
+  const handleCollectionCreated = async (collection, seeded) => {
+    setIsCreatingCollection(false);
+    setNotice(seeded
+      ? `Created ${collection.displayName} with ${seeded.created.length} fields from the schema` +
+        (seeded.errors.length ? `. ${seeded.errors.length} fields failed: ${seeded.errors.map(e => `${e.field.name} (${e.error})`).join('; ')}` : '')
+      : `Created ${collection.displayName}`);
+    try {
+      setCollections(await client.getCollections(site.id));
+    } catch (err) {
+      setError(err.message);
+    }
+    await loadCollection(collection);
+  };
+
+  // A schema file was applied to the selected collection
+  const handleSchemaApplied = async ({ created, updated, errors }) => {
+    setIsApplyingSchema(false);
+    setNotice(`Added ${created.length} and updated ${updated.length} fields from the schema` +
+      (errors.length ? `. ${errors.length} fields failed: ${errors.map(e => `${e.field.name} (${e.error})`).join('; ')}` : ''));
+    try {
+      await reloadFields();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Delete the selected collection once its slug has been typed to confirm
+  const handleDeleteCollection = async () => {
+    if (deleteConfirm !== selectedCollection.slug) return;
+
+    setIsLoading(true);
+    try {
+      await client.deleteCollection(selectedCollection.id);
+      setNotice(`Deleted ${selectedCollection.displayName || selectedCollection.name}`);
+      setSelectedCollection(null);
+      setCollectionDetails(null);
+      setItems([]);
+      setDeleteConfirm(null);
+      setCollections(await client.getCollections(site.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Export the filtered items as raw API JSON, or as a flat CSV / Excel sheet
+  // that the Data Importer can read back in
+  const exportItems = async (format) => {
+    if (!visibleItems.length) return;
+    const fileName = `${selectedCollection.slug}-items${isFiltered ? '-filtered' : ''}.${format}`;
+
+    if (format === 'json') {
+      const blob = new Blob([JSON.stringify(visibleItems, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      URL.revokeObjectURL(url);
+      return;
+    }
+
+    setExportingFormat(format);
+    try {
+      const referenceSlugs = await loadReferenceSlugs(client, fields);
+      if (format === 'csv') downloadItemsCsv(visibleItems, fields, referenceSlugs, fileName);
+      else await downloadItemsXlsx(visibleItems, fields, referenceSlugs, fileName);
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  // Reload the field definitions without refetching items
+  const reloadFields = async () => {
+    const details = await client.getCollection(selectedCollection.id);
+    setCollectionDetails(details);
   };
 
   // Add new field
   const handleAddField = async () => {
-    if (!newField || !newField.name || !newField.type) return;
-    
+    if (!newField) return;
+    const problem = validateDraft(newField);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
     setIsLoading(true);
     try {
-      await client.createField(selectedCollection.id, {
-        displayName: newField.name,
-        type: newField.type,
-        isRequired: newField.required || false,
-        helpText: newField.helpText || '',
-      });
-      
-      // Reload collection
-      await loadCollection(selectedCollection);
+      await client.createField(selectedCollection.id, buildCreatePayload(newField));
+      await reloadFields();
       setNewField(null);
     } catch (err) {
       setError(err.message);
@@ -124,6 +225,32 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
     }
   };
 
+  // Save changes to an existing field (only what changed is sent)
+  const handleUpdateField = async () => {
+    const field = collectionDetails.fields.find(f => f.id === editingField.id);
+    const problem = validateDraft(editingField.draft);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const changes = buildUpdatePayload(field, editingField.draft);
+    if (Object.keys(changes).length === 0) {
+      setEditingField(null);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await client.updateField(selectedCollection.id, field.id, changes);
+      await reloadFields();
+      setEditingField(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Delete field
   const handleDeleteField = async (fieldId) => {
     if (!confirm('Are you sure you want to delete this field?')) return;
@@ -131,7 +258,7 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
     setIsLoading(true);
     try {
       await client.deleteField(selectedCollection.id, fieldId);
-      await loadCollection(selectedCollection);
+      await reloadFields();
     } catch (err) {
       setError(err.message);
     } finally {
@@ -172,11 +299,36 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
         </div>
       )}
 
+      {notice && (
+        <div className="mb-6 p-4 bg-pm-success/10 border border-pm-success/30 flex items-center gap-3 text-pm-success">
+          <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+          <span className="text-sm">{notice}</span>
+          <button onClick={() => setNotice(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       <div className="grid grid-cols-12 gap-6">
         {/* Collections List */}
         <div className="col-span-4">
           <div className="card">
-            <h3 className="text-xs uppercase tracking-widest text-pm-accent mb-4">Collections ({collections.length})</h3>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xs uppercase tracking-widest text-pm-accent">Collections ({collections.length})</h3>
+              <button onClick={() => setIsCreatingCollection(true)} className="btn btn-ghost text-xs px-2 py-1" disabled={!site}>
+                <Plus className="w-3 h-3" />
+                New
+              </button>
+            </div>
+            {isCreatingCollection && (
+              <NewCollectionForm
+                client={client}
+                site={site}
+                collections={collections}
+                onCreated={handleCollectionCreated}
+                onCancel={() => setIsCreatingCollection(false)}
+              />
+            )}
             <div className="space-y-1">
               {collections.map(collection => (
                 <button
@@ -209,18 +361,63 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                   <div>
                     <h3 className="text-xl text-pm-text">{collectionDetails?.displayName || selectedCollection.name}</h3>
                     <p className="text-pm-text-muted text-sm mt-1">/{collectionDetails?.slug || selectedCollection.slug}</p>
+                    <p className="text-pm-text-muted text-xs mt-1">
+                      Exports include {isFiltered ? `the ${visibleItems.length} filtered` : `all ${items.length}`} items
+                    </p>
                   </div>
                   <div className="flex gap-2">
                     <button onClick={exportSchema} className="btn btn-secondary text-xs">
                       <Download className="w-3 h-3" />
                       Schema
                     </button>
-                    <button onClick={exportItems} className="btn btn-secondary text-xs" disabled={!items.length}>
-                      <Download className="w-3 h-3" />
-                      Items ({items.length})
+                    {['csv', 'xlsx', 'json'].map(format => (
+                      <button
+                        key={format}
+                        onClick={() => exportItems(format)}
+                        className="btn btn-secondary text-xs"
+                        disabled={!visibleItems.length || !!exportingFormat}
+                      >
+                        {exportingFormat === format ? <Loader2 className="w-3 h-3 animate-spin" /> : <Download className="w-3 h-3" />}
+                        {format.toUpperCase()}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => setDeleteConfirm(deleteConfirm === null ? '' : null)}
+                      className="btn btn-ghost text-xs hover:text-pm-error"
+                      title="Delete collection"
+                    >
+                      <Trash2 className="w-3 h-3" />
                     </button>
                   </div>
                 </div>
+
+                {deleteConfirm !== null && (
+                  <div className="mt-4 p-4 bg-pm-error/10 border border-pm-error/30">
+                    <p className="text-sm text-pm-text mb-1">
+                      Delete this collection and all {items.length} of its items? This can't be undone.
+                    </p>
+                    <p className="text-xs text-pm-text-muted mb-3">
+                      Type <span className="font-mono text-pm-text">{selectedCollection.slug}</span> to confirm.
+                    </p>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={deleteConfirm}
+                        onChange={(e) => setDeleteConfirm(e.target.value)}
+                        className="flex-1 text-sm py-1 font-mono"
+                        autoFocus
+                      />
+                      <button
+                        onClick={handleDeleteCollection}
+                        disabled={deleteConfirm !== selectedCollection.slug || isLoading}
+                        className="btn btn-danger text-xs"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                        Delete Collection
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Fields */}
@@ -229,15 +426,35 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                   <h4 className="text-xs uppercase tracking-widest text-pm-accent">
                     Fields ({collectionDetails?.fields?.length || 0})
                   </h4>
-                  <button 
-                    onClick={() => setNewField({ name: '', type: 'PlainText', required: false })}
-                    className="btn btn-ghost text-xs"
-                  >
-                    <Plus className="w-3 h-3" />
-                    Add Field
-                  </button>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setIsApplyingSchema(!isApplyingSchema)}
+                      className="btn btn-ghost text-xs"
+                      disabled={!collectionDetails}
+                    >
+                      <FileJson className="w-3 h-3" />
+                      Apply Schema
+                    </button>
+                    <button 
+                      onClick={() => { setNewField(emptyDraft()); setEditingField(null); }}
+                      className="btn btn-ghost text-xs"
+                    >
+                      <Plus className="w-3 h-3" />
+                      Add Field
+                    </button>
+                  </div>
                 </div>
 
+                {isApplyingSchema && collectionDetails && (
+                  <SchemaApply
+                    client={client}
+                    collection={collectionDetails}
+                    collections={collections}
+                    onApplied={handleSchemaApplied}
+                    onCancel={() => setIsApplyingSchema(false)}
+                  />
+                )}
+
                 {isLoading ? (
                   <div className="flex items-center justify-center py-8">
                     <Loader2 className="w-6 h-6 animate-spin text-pm-accent" />
@@ -256,12 +473,13 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                     <tbody>
                       {/* New field row */}
                       {newField && (
+                        <>
                         <tr className="bg-pm-accent/5">
                           <td>
                             <input
                               type="text"
-                              value={newField.name}
-                              onChange={(e) => setNewField({ ...newField, name: e.target.value })}
+                              value={newField.displayName}
+                              onChange={(e) => setNewField({ ...newField, displayName: e.target.value })}
                               placeholder="Field name"
                               className="w-full text-sm py-1"
                               autoFocus
@@ -282,8 +500,8 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                           <td>
                             <input
                               type="checkbox"
-                              checked={newField.required}
-                              onChange={(e) => setNewField({ ...newField, required: e.target.checked })}
+                              checked={newField.isRequired}
+                              onChange={(e) => setNewField({ ...newField, isRequired: e.target.checked })}
                               className="accent-pm-accent"
                             />
                           </td>
@@ -298,11 +516,65 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                             </div>
                           </td>
                         </tr>
+                        <tr className="bg-pm-accent/5">
+                          <td colSpan={5}>
+                            <FieldSettings draft={newField} onChange={setNewField} collections={collections} />
+                          </td>
+                        </tr>
+                        </>
                       )}
 
                       {/* Existing fields */}
                       {collectionDetails?.fields?.map(field => {
                         const IconComponent = FIELD_ICONS[field.type] || Type;
+
+                        if (editingField?.id === field.id) {
+                          const { draft } = editingField;
+                          const setDraft = (next) => setEditingField({ id: field.id, draft: next });
+                          return (
+                            <Fragment key={field.id}>
+                              <tr className="bg-pm-accent/5">
+                                <td>
+                                  <input
+                                    type="text"
+                                    value={draft.displayName}
+                                    onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+                                    className="w-full text-sm py-1"
+                                    autoFocus
+                                  />
+                                </td>
+                                <td className="font-mono text-xs">{field.slug}</td>
+                                <td>
+                                  <span className="badge badge-info">{FIELD_TYPES[field.type]?.label || field.type}</span>
+                                </td>
+                                <td>
+                                  <input
+                                    type="checkbox"
+                                    checked={draft.isRequired}
+                                    onChange={(e) => setDraft({ ...draft, isRequired: e.target.checked })}
+                                    className="accent-pm-accent"
+                                  />
+                                </td>
+                                <td>
+                                  <div className="flex gap-1">
+                                    <button onClick={handleUpdateField} className="p-1 text-pm-success hover:bg-pm-success/20">
+                                      <Save className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => setEditingField(null)} className="p-1 text-pm-error hover:bg-pm-error/20">
+                                      <X className="w-4 h-4" />
+                                    </button>
+                                  </div>
+                                </td>
+                              </tr>
+                              <tr className="bg-pm-accent/5">
+                                <td colSpan={5}>
+                                  <FieldSettings draft={draft} onChange={setDraft} collections={collections} isExisting />
+                                </td>
+                              </tr>
+                            </Fragment>
+                          );
+                        }
+
                         return (
                           <tr key={field.id}>
                             <td>
@@ -310,6 +582,9 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                                 <IconComponent className="w-4 h-4 text-pm-accent/60" />
                                 <span className="text-pm-text">{field.displayName || field.name}</span>
                               </div>
+                              {field.helpText && (
+                                <p className="text-pm-text-muted/60 text-xs mt-1 ml-6">{field.helpText}</p>
+                              )}
                             </td>
                             <td className="font-mono text-xs">{field.slug}</td>
                             <td>
@@ -320,12 +595,20 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                             </td>
                             <td>
                               {!field.isEditable === false && (
-                                <button 
-                                  onClick={() => handleDeleteField(field.id)}
-                                  className="p-1 text-pm-text-muted hover:text-pm-error hover:bg-pm-error/10 transition-colors"
-                                >
-                                  <Trash2 className="w-4 h-4" />
-                                </button>
+                                <div className="flex gap-1">
+                                  <button
+                                    onClick={() => { setEditingField({ id: field.id, draft: fieldToDraft(field) }); setNewField(null); }}
+                                    className="p-1 text-pm-text-muted hover:text-pm-accent hover:bg-pm-accent/10 transition-colors"
+                                  >
+                                    <Edit2 className="w-4 h-4" />
+                                  </button>
+                                  <button 
+                                    onClick={() => handleDeleteField(field.id)}
+                                    className="p-1 text-pm-text-muted hover:text-pm-error hover:bg-pm-error/10 transition-colors"
+                                  >
+                                    <Trash2 className="w-4 h-4" />
+                                  </button>
+                                </div>
                               )}
                             </td>
                           </tr>
@@ -336,49 +619,59 @@ function CMSManager({ client, site, collections, setCollections, isConnected })
                 )}
               </div>
 
-              {/* Items Preview */}
+              {/* Find & Replace */}
+              {items.length > 0 && collectionDetails?.fields && (
+                <div className="card">
+                  <h4 className="text-xs uppercase tracking-widest text-pm-accent mb-4">
+                    Find &amp; Replace{isFiltered && ` — ${visibleItems.length} filtered items`}
+                  </h4>
+                  <FindReplace
+                    client={client}
+                    collection={selectedCollection}
+                    fields={fields}
+                    items={visibleItems}
+                    onItemsSaved={handleItemsSaved}
+                  />
+                </div>
+              )}
+
+              {/* Items */}
               <div className="card">
                 <div className="flex items-center justify-between mb-4">
                   <h4 className="text-xs uppercase tracking-widest text-pm-accent">
-                    Items Preview
+                    Items ({items.length})
                   </h4>
                   {isLoadingItems && <Loader2 className="w-4 h-4 animate-spin text-pm-accent" />}
                 </div>
 
-                {items.length > 0 ? (
-                  <div className="max-h-64 overflow-auto">
-                    <table>
-                      <thead>
-                        <tr>
-                          <th>Name</th>
-                          <th>Slug</th>
-                          <th>Status</th>
-                          <th>Updated</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {items.slice(0, 20).map(item => (
-                          <tr key={item.id}>
-                            <td className="text-pm-text">{item.fieldData?.name || item.fieldData?.title || 'Untitled'}</td>
-                            <td className="font-mono text-xs">{item.fieldData?.slug}</td>
-                            <td>
-                              <span className={`badge ${item.isDraft ? 'badge-warning' : 'badge-success'}`}>
-                                {item.isDraft ? 'Draft' : 'Published'}
-                              </span>
-                            </td>
-                            <td className="text-xs">
-                              {item.lastUpdated ? new Date(item.lastUpdated).toLocaleDateString() : '-'}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                    {items.length > 20 && (
-                      <p className="text-center text-pm-text-muted text-xs py-2">
-                        Showing 20 of {items.length} items
-                      </p>
-                    )}
-                  </div>
+                {items.length > 0 && collectionDetails?.fields ? (
+                  <>
+                    <ItemFilterBar
+                      fields={fields}
+                      filters={filters}
+                      onChange={setFilters}
+                      shown={visibleItems.length}
+                      total={items.length}
+                    />
+                    <BulkActions
+                      client={client}
+                      collection={selectedCollection}
+                      selectedItems={selectedItems}
+                      onComplete={handleBulkComplete}
+                      onClearSelection={() => setSelectedIds(new Set())}
+                    />
+                    <ItemGrid
+                      client={client}
+                      collection={selectedCollection}
+                      fields={fields}
+                      items={visibleItems}
+                      sort={sort}
+                      onSortChange={setSort}
+                      onItemsSaved={handleItemsSaved}
+                      selected={selectedIds}
+                      onSelectionChange={setSelectedIds}
+                    />
+                  </>
                 ) : (
                   <p className="text-pm-text-muted/60 text-sm text-center py-8">
                     {isLoadingItems ? 'Loading items...' : 'No items in this collection'}
@@ -0,0 +1,356 @@
+import { useState, useEffect } from 'react';
+import { Copy, Loader2, AlertCircle, CheckCircle2, X, KeyRound, ArrowRight } from 'lucide-react';
+import WebflowClient, { isValidToken } from '../utils/webflow';
+import { slugify } from '../utils/referenceResolver';
+import { cloneCollection } from '../utils/collectionClone';
+
+/**
+ * Copy a collection's schema and items to another collection, on the same
+ * site, another site, or a site reached with a second API token
+ */
+function CollectionCloner({ client, sites, site, isConnected }) {
+  const [sourceSiteId, setSourceSiteId] = useState(site?.id || '');
+  const [sourceCollections, setSourceCollections] = useState([]);
+  const [sourceCollectionId, setSourceCollectionId] = useState('');
+
+  const [useOtherToken, setUseOtherToken] = useState(false);
+  const [otherToken, setOtherToken] = useState('');
+  const [otherClient, setOtherClient] = useState(null);
+  const [otherSites, setOtherSites] = useState([]);
+  const [isConnectingOther, setIsConnectingOther] = useState(false);
+
+  const [destSiteId, setDestSiteId] = useState('');
+  const [destCollections, setDestCollections] = useState([]);
+  const [destCollectionId, setDestCollectionId] = useState('');
+  const [newCollection, setNewCollection] = useState({ displayName: '', singularName: '', slug: '' });
+
+  const [copyImages, setCopyImages] = useState(true);
+  const [publish, setPublish] = useState(false);
+  const [isCloning, setIsCloning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const destClient = useOtherToken ? otherClient : client;
+  const destSites = useOtherToken ? otherSites : sites;
+  const sourceCollection = sourceCollections.find(c => c.id === sourceCollectionId);
+  const destCollection = destCollections.find(c => c.id === destCollectionId) || null;
+
+  useEffect(() => {
+    if (!sourceSiteId && site) setSourceSiteId(site.id);
+  }, [site]);
+
+  useEffect(() => {
+    setSourceCollectionId('');
+    if (!client || !sourceSiteId) return;
+    client.getCollections(sourceSiteId).then(setSourceCollections).catch(err => setError(err.message));
+  }, [client, sourceSiteId]);
+
+  useEffect(() => {
+    setDestCollectionId('');
+    setDestCollections([]);
+    if (!destClient || !destSiteId) return;
+    destClient.getCollections(destSiteId).then(setDestCollections).catch(err => setError(err.message));
+  }, [destClient, destSiteId]);
+
+  // Suggest the source's names for a new destination collection, with a
+  // "copy" suffix when cloning within the same site
+  useEffect(() => {
+    if (!sourceCollection) return;
+    const sameSite = !useOtherToken && destSiteId === sourceSiteId;
+    const displayName = sourceCollection.displayName || sourceCollection.name;
+    setNewCollection({
+      displayName: sameSite ? `${displayName} Copy` : displayName,
+      singularName: sameSite ? `${sourceCollection.singularName} Copy` : sourceCollection.singularName || '',
+      slug: sameSite ? `${sourceCollection.slug}-copy` : sourceCollection.slug,
+    });
+  }, [sourceCollectionId, destSiteId, useOtherToken]);
+
+  const connectOther = async () => {
+    if (!isValidToken(otherToken)) {
+      setError('Invalid API token format');
+      return;
+    }
+    setIsConnectingOther(true);
+    setError(null);
+    try {
+      const other = new WebflowClient(otherToken);
+      const otherSitesData = await other.getSites();
+      setOtherClient(other);
+      setOtherSites(otherSitesData);
+      setDestSiteId(otherSitesData[0]?.id || '');
+    } catch (err) {
+      setError(`Couldn't connect with the destination token: ${err.message}`);
+    } finally {
+      setIsConnectingOther(false);
+    }
+  };
+
+  const switchToken = (other) => {
+    setUseOtherToken(other);
+    setDestSiteId('');
+  };
+
+  const runClone = async () => {
+    if (!sourceCollection || !destClient || !destSiteId) return;
+    if (destCollection?.id === sourceCollection.id) {
+      setError("The destination can't be the source collection");
+      return;
+    }
+    if (!destCollection && (!newCollection.displayName.trim() || !newCollection.singularName.trim())) {
+      setError('The new collection needs a display name and singular name');
+      return;
+    }
+    const target = destCollection ? (destCollection.displayName || destCollection.name) : `a new collection "${newCollection.displayName}"`;
+    if (!confirm(`Copy ${sourceCollection.displayName || sourceCollection.name} into ${target}?`)) return;
+
+    setIsCloning(true);
+    setError(null);
+    setResult(null);
+    try {
+      const outcome = await cloneCollection({
+        sourceClient: client,
+        destClient,
+        sourceCollection,
+        sourceCollections,
+        destSiteId,
+        destCollection,
+        newCollection: destCollection ? null : {
+          displayName: newCollection.displayName.trim(),
+          singularName: newCollection.singularName.trim(),
+          slug: newCollection.slug || slugify(newCollection.displayName),
+        },
+        options: { copyImages, publish },
+      }, setProgress);
+      setResult(outcome);
+      if (!destCollection) setDestCollections(await destClient.getCollections(destSiteId));
+    } catch (err) {
+      setError(`Clone failed: ${err.message}`);
+    } finally {
+      setIsCloning(false);
+      setProgress(null);
+    }
+  };
+
+  if (!isConnected) {
+    return (
+      <div className="text-center py-20">
+        <Copy className="w-12 h-12 text-pm-border mx-auto mb-4" />
+        <h2 className="text-xl text-pm-text-muted mb-2">Connect to Webflow</h2>
+        <p className="text-pm-text-muted/60 text-sm">Enter your API token above to clone collections</p>
+      </div>
+    );
+  }
+
+  const siteName = (s) => s.displayName || s.name;
+  const collectionName = (c) => c.displayName || c.name;
+  const issues = result ? [
+    ...result.fieldErrors.map(e => ({ label: `Field ${e.field.name}`, message: e.error })),
+    ...result.skippedFields.map(s => ({ label: `Field ${s.field.displayName || s.field.slug}`, message: `Not copied: ${s.reason}` })),
+    ...result.failed.map(f => ({ label: f.name || 'Item', message: f.error })),
+    ...result.publishErrors.map(e => ({ label: e.id, message: `Publish failed: ${e.error}` })),
+  ] : [];
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="mb-6">
+        <span className="section-label">Clone</span>
+        <h2 className="text-2xl text-pm-text mt-2">Clone Collection</h2>
+        <p className="text-pm-text-muted text-sm mt-1">Copy a collection's schema and items to another site or workspace</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-pm-error/10 border border-pm-error/30 flex items-center gap-3 text-pm-error">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          <span className="text-sm">{error}</span>
+          <button onClick={() => setError(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        {/* Step 1: Source */}
+        <div className="card space-y-4">
+          <h3 className="text-xs uppercase tracking-widest text-pm-accent">1. Source</h3>
+          <label className="block text-xs text-pm-text-muted uppercase tracking-wider">
+            Site
+            <select value={sourceSiteId} onChange={(e) => setSourceSiteId(e.target.value)} className="w-full mt-1 text-sm normal-case">
+              {sites.map(s => <option key={s.id} value={s.id}>{siteName(s)}</option>)}
+            </select>
+          </label>
+          <label className="block text-xs text-pm-text-muted uppercase tracking-wider">
+            Collection
+            <select value={sourceCollectionId} onChange={(e) => setSourceCollectionId(e.target.value)} className="w-full mt-1 text-sm normal-case">
+              <option value="">Choose a collection...</option>
+              {sourceCollections.map(c => <option key={c.id} value={c.id}>{collectionName(c)}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {/* Step 2: Destination */}
+        <div className="card space-y-4">
+          <h3 className="text-xs uppercase tracking-widest text-pm-accent">2. Destination</h3>
+          <div className="flex gap-4 text-sm text-pm-text-muted">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="radio" checked={!useOtherToken} onChange={() => switchToken(false)} />
+              This workspace
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="radio" checked={useOtherToken} onChange={() => switchToken(true)} />
+              Another API token
+            </label>
+          </div>
+
+          {useOtherToken && (
+            <div className="flex gap-2">
+              <input
+                type="password"
+                placeholder="Destination API token"
+                value={otherToken}
+                onChange={(e) => setOtherToken(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && connectOther()}
+                className="flex-1 text-sm"
+              />
+              <button onClick={connectOther} disabled={isConnectingOther} className="btn btn-secondary text-xs">
+                {isConnectingOther ? <Loader2 className="w-3 h-3 animate-spin" /> : <KeyRound className="w-3 h-3" />}
+                {otherClient ? 'Reconnect' : 'Connect'}
+              </button>
+            </div>
+          )}
+
+          {(!useOtherToken || otherClient) && (
+            <>
+              <label className="block text-xs text-pm-text-muted uppercase tracking-wider">
+                Site
+                <select value={destSiteId} onChange={(e) => setDestSiteId(e.target.value)} className="w-full mt-1 text-sm normal-case">
+                  <option value="">Choose a site...</option>
+                  {destSites.map(s => <option key={s.id} value={s.id}>{siteName(s)}</option>)}
+                </select>
+              </label>
+              {destSiteId && (
+                <label className="block text-xs text-pm-text-muted uppercase tracking-wider">
+                  Collection
+                  <select value={destCollectionId} onChange={(e) => setDestCollectionId(e.target.value)} className="w-full mt-1 text-sm normal-case">
+                    <option value="">New collection</option>
+                    {destCollections.map(c => <option key={c.id} value={c.id}>{collectionName(c)}</option>)}
+                  </select>
+                </label>
+              )}
+              {destSiteId && !destCollectionId && (
+                <div className="grid grid-cols-3 gap-2">
+                  <input
+                    type="text"
+                    value={newCollection.displayName}
+                    onChange={(e) => setNewCollection({ ...newCollection, displayName: e.target.value })}
+                    placeholder="Display name"
+                    className="text-sm py-1.5"
+                  />
+                  <input
+                    type="text"
+                    value={newCollection.singularName}
+                    onChange={(e) => setNewCollection({ ...newCollection, singularName: e.target.value })}
+                    placeholder="Singular name"
+                    className="text-sm py-1.5"
+                  />
+                  <input
+                    type="text"
+                    value={newCollection.slug}
+                    onChange={(e) => setNewCollection({ ...newCollection, slug: slugify(e.target.value) })}
+                    placeholder="slug"
+                    className="text-sm py-1.5 font-mono"
+                  />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Step 3: Options */}
+      <div className="card mb-6">
+        <h3 className="text-xs uppercase tracking-widest text-pm-accent mb-4">3. Options</h3>
+        <div className="space-y-2 text-sm text-pm-text-muted">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={copyImages} onChange={(e) => setCopyImages(e.target.checked)} />
+            Re-host images and files on the destination site (slower; unchecked leaves those fields empty)
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={publish} onChange={(e) => setPublish(e.target.checked)} />
+            Publish items that are published on the source (otherwise everything is staged)
+          </label>
+        </div>
+        <p className="text-pm-text-muted/60 text-xs mt-3">
+          Missing fields are created first. Items are matched by slug, so re-running a clone updates instead of duplicating.
+          References to other collections are matched by slug in the destination site's collection of the same slug.
+          Archived items are not copied.
+        </p>
+        <div className="flex items-center gap-3 mt-4">
+          <button
+            onClick={runClone}
+            disabled={isCloning || !sourceCollection || !destClient || !destSiteId}
+            className="btn btn-primary"
+          >
+            {isCloning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Copy className="w-4 h-4" />}
+            Clone Collection
+          </button>
+          {sourceCollection && destSiteId && (
+            <span className="flex items-center gap-2 text-sm text-pm-text-muted">
+              {collectionName(sourceCollection)}
+              <ArrowRight className="w-4 h-4" />
+              {destCollection ? collectionName(destCollection) : newCollection.displayName || 'New collection'}
+            </span>
+          )}
+          {progress && <span className="text-xs text-pm-text-muted">{progress.message}</span>}
+        </div>
+      </div>
+
+      {/* Results */}
+      {result && (
+        <div className="card">
+          <div className="flex items-center gap-4 mb-4">
+            {result.failed.length === 0 && result.fieldErrors.length === 0 ? (
+              <CheckCircle2 className="w-10 h-10 text-pm-success" />
+            ) : (
+              <AlertCircle className="w-10 h-10 text-pm-warning" />
+            )}
+            <div>
+              <h3 className="text-xl text-pm-text">Clone Complete</h3>
+              <p className="text-pm-text-muted text-sm">
+                {result.created} created • {result.updated} updated • {result.unchanged} unchanged
+                {result.failed.length > 0 && ` • ${result.failed.length} failed`}
+                {' '}in {collectionName(result.collection)}
+              </p>
+            </div>
+          </div>
+
+          <div className="space-y-1 text-sm text-pm-text-muted">
+            {result.fieldsCreated.length > 0 && <p>{result.fieldsCreated.length} fields created.</p>}
+            {result.archivedSkipped > 0 && <p>{result.archivedSkipped} archived items skipped.</p>}
+            {result.unresolvedReferences > 0 && (
+              <p className="text-pm-warning">
+                {result.unresolvedReferences} references had no item with the same slug on the destination and were left empty.
+              </p>
+            )}
+            {publish && <p>Published {result.published} items{result.publishErrors.length > 0 && `, ${result.publishErrors.length} failed`}.</p>}
+          </div>
+
+          {issues.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-xs uppercase tracking-widest text-pm-warning mb-2">Issues ({issues.length})</h4>
+              <div className="bg-pm-dark border border-pm-border p-4 max-h-60 overflow-auto">
+                {issues.map((issue, i) => (
+                  <div key={i} className="text-sm text-pm-text-muted mb-1">
+                    <span className="text-pm-text">{issue.label}</span>: {issue.message}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CollectionCloner;
@@ -1,10 +1,57 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { 
   Upload, FileJson, FileSpreadsheet, ChevronRight, Check, X, 
   AlertCircle, Loader2, Play, Eye, Download, ArrowRight, 
-  RefreshCw, CheckCircle2, XCircle
+  RefreshCw, CheckCircle2, XCircle, Undo2, History, Edit2, RotateCcw
 } from 'lucide-react';
 import Papa from 'papaparse';
+import { readSheet } from 'read-excel-file/browser';
+import { coerceRow } from '../utils/fieldCoercion';
+import {
+  planImport,
+  formatDiffValue,
+  buildItemIndex,
+  findDuplicateKeys,
+  findMissingItems,
+  DEFAULT_MATCH_FIELDS,
+} from '../utils/importPlan';
+import { SYNC_ACTIONS, itemsToRemove, applySyncAction } from '../utils/importSync';
+import {
+  buildJournal,
+  saveJournal,
+  listJournals,
+  downloadJournal,
+  revertJournal,
+} from '../utils/importJournal';
+import {
+  hashFile,
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  recordCommitted,
+} from '../utils/importCheckpoint';
+import {
+  REFERENCE_TYPES,
+  getReferenceTargets,
+  loadReferenceLookups,
+  resolveRowReferences,
+  createReferenceStubs,
+  slugify,
+} from '../utils/referenceResolver';
+import { PUBLISH_TARGETS } from '../utils/webflow';
+import { QUALITY_PRESETS } from '../utils/imageProcessing';
+import { REHOST_PRESETS, DEFAULT_REHOST_OPTIONS, rehostRowImages } from '../utils/imageRehost';
+
+const LOCALES = [
+  { value: '', label: 'Browser default' },
+  { value: 'en-US', label: 'English (US) — 1,234.5 • MM/DD/YYYY' },
+  { value: 'en-GB', label: 'English (UK) — 1,234.5 • DD/MM/YYYY' },
+  { value: 'de-DE', label: 'German — 1.234,5 • DD.MM.YYYY' },
+  { value: 'fr-FR', label: 'French — 1 234,5 • DD/MM/YYYY' },
+  { value: 'es-ES', label: 'Spanish — 1.234,5 • DD/MM/YYYY' },
+  { value: 'nl-NL', label: 'Dutch — 1.234,5 • DD-MM-YYYY' },
+];
 
 function DataImporter({ client, site, collections, isConnected }) {
   const [file, setFile] = useState(null);
@@ -19,9 +66,85 @@ function DataImporter({ client, site, collections, isConnected }) {
   const [isDryRun, setIsDryRun] = useState(true);
   const [isUpdateMode, setIsUpdateMode] = useState(false);
   const [upsertProgress, setUpsertProgress] = useState(null);
+  const [locale, setLocale] = useState('');
+  const [createMissingRefs, setCreateMissingRefs] = useState(false);
+  const [journal, setJournal] = useState(null);
+  const [journals, setJournals] = useState([]);
+  const [isReverting, setIsReverting] = useState(false);
+  const [revertResult, setRevertResult] = useState(null);
+  const [fileHash, setFileHash] = useState(null);
+  const [pendingCheckpoint, setPendingCheckpoint] = useState(null);
+  const [resumeCheckpoint, setResumeCheckpoint] = useState(null);
+  const [isEditingFailed, setIsEditingFailed] = useState(false);
+  const [matchFields, setMatchFields] = useState([]);
+  const [isSyncMode, setIsSyncMode] = useState(false);
+  const [syncAction, setSyncAction] = useState('archive');
+  const [publishTarget, setPublishTarget] = useState('live');
+  const [rehostImages, setRehostImages] = useState(false);
+  const [rehostOptions, setRehostOptions] = useState(DEFAULT_REHOST_OPTIONS);
   const [dragActive, setDragActive] = useState(false);
   const [error, setError] = useState(null);
 
+  // Load import history for the current site
+  const refreshJournals = useCallback(async () => {
+    try {
+      setJournals(await listJournals(site?.id));
+    } catch (err) {
+      console.error('Failed to load import journals:', err);
+    }
+  }, [site?.id]);
+
+  useEffect(() => {
+    refreshJournals();
+  }, [refreshJournals]);
+
+  // Record a live run so it can be reverted later
+  const recordJournal = async (results, stubs, removed = []) => {
+    const entry = buildJournal({
+      site,
+      collection: selectedCollection,
+      fileName: file?.name,
+      // Staged imports are published afterwards, so reverting has to reach live too
+      isLive: publishTarget !== 'draft',
+      results,
+      stubs,
+      removed,
+    });
+    if (entry.updated.length === 0 && entry.created.length === 0 && entry.removed.length === 0) return null;
+
+    try {
+      await saveJournal(entry);
+      refreshJournals();
+    } catch (err) {
+      setError(`Import finished, but its journal couldn't be saved: ${err.message}. Download it now to keep an undo record.`);
+    }
+    setJournal(entry);
+    return entry;
+  };
+
+  // Undo an import recorded in a journal
+  const handleRevert = async (target) => {
+    const message = `Revert the import of ${target.fileName || 'this file'} into ${target.collectionName}?\n\n` +
+      `${target.updated.length} updated items will be restored and ${target.created.length} created items will be deleted.` +
+      (target.removed?.length ? ` ${target.removed.length} items removed by the sync will be brought back.` : '');
+    if (!confirm(message)) return;
+
+    setIsReverting(true);
+    setError(null);
+    setRevertResult(null);
+    try {
+      const result = await revertJournal(client, target, (progress) => setUpsertProgress(progress));
+      setRevertResult({ journalId: target.id, ...result });
+      if (journal?.id === target.id) setJournal({ ...target, revertedAt: new Date().toISOString() });
+      refreshJournals();
+    } catch (err) {
+      setError(`Revert failed: ${err.message}`);
+    } finally {
+      setIsReverting(false);
+      setUpsertProgress(null);
+    }
+  };
+
   // Handle file drop
   const handleDrop = useCallback((e) => {
     e.preventDefault();
@@ -46,6 +169,20 @@ function DataImporter({ client, site, collections, isConnected }) {
     setError(null);
     setFile(uploadedFile);
     setImportResults(null);
+    setFileHash(null);
+    setPendingCheckpoint(null);
+    setResumeCheckpoint(null);
+
+    // Look for an unfinished live import of this exact file
+    hashFile(uploadedFile)
+      .then(hash => {
+        setFileHash(hash);
+        const checkpoint = loadCheckpoint(hash);
+        if (checkpoint && checkpoint.processedRows.length > 0) {
+          setPendingCheckpoint(checkpoint);
+        }
+      })
+      .catch(err => console.error('Failed to hash import file:', err));
 
     const extension = uploadedFile.name.split('.').pop().toLowerCase();
 
@@ -80,14 +217,30 @@ function DataImporter({ client, site, collections, isConnected }) {
         }
       };
       reader.readAsText(uploadedFile);
+    } else if (extension === 'xlsx') {
+      setFileType('xlsx');
+      // First sheet; the first row holds the column names
+      readSheet(uploadedFile)
+        .then(([headerRow = [], ...rows]) => {
+          const sheetHeaders = headerRow.map(h => String(h ?? '').trim());
+          const cell = (value) => (value instanceof Date ? value.toISOString() : value ?? '');
+          setParsedData(rows
+            .filter(row => row.some(value => value !== null && value !== ''))
+            .map(row => Object.fromEntries(sheetHeaders.map((h, i) => [h, cell(row[i])]))));
+          setHeaders(sheetHeaders.filter(Boolean));
+        })
+        .catch(err => {
+          setError(`Failed to parse Excel file: ${err.message}`);
+        });
     } else {
-      setError('Unsupported file type. Please upload a CSV or JSON file.');
+      setError('Unsupported file type. Please upload a CSV, Excel (.xlsx) or JSON file.');
       setFile(null);
     }
   };
 
-  // Load collection fields when collection is selected
-  const handleCollectionSelect = async (collectionId) => {
+  // Load collection fields when collection is selected.
+  // savedMapping (from a checkpoint) replaces the auto-mapping.
+  const handleCollectionSelect = async (collectionId, savedMapping = null) => {
     const collection = collections.find(c => c.id === collectionId);
     setSelectedCollection(collection);
     
@@ -96,6 +249,11 @@ function DataImporter({ client, site, collections, isConnected }) {
         const details = await client.getCollection(collection.id);
         setCollectionFields(details.fields || []);
         
+        if (savedMapping) {
+          setFieldMapping(savedMapping);
+          return;
+        }
+
         // Auto-map fields with matching names
         const autoMapping = {};
         headers.forEach(header => {
@@ -114,6 +272,27 @@ function DataImporter({ client, site, collections, isConnected }) {
     }
   };
 
+  // Pick up an interrupted import where it left off
+  const resumeImport = async () => {
+    const checkpoint = pendingCheckpoint;
+    setPendingCheckpoint(null);
+    setResumeCheckpoint(checkpoint);
+    setIsUpdateMode(checkpoint.isUpdateMode);
+    setMatchFields(checkpoint.matchFields || []);
+    setIsSyncMode(!!checkpoint.isSyncMode);
+    setSyncAction(checkpoint.syncAction || 'archive');
+    setPublishTarget(checkpoint.publishTarget || 'live');
+    setRehostImages(!!checkpoint.rehostOptions);
+    setRehostOptions(checkpoint.rehostOptions || DEFAULT_REHOST_OPTIONS);
+    setLocale(checkpoint.locale || '');
+    await handleCollectionSelect(checkpoint.collectionId, checkpoint.fieldMapping);
+  };
+
+  const discardCheckpoint = () => {
+    clearCheckpoint(pendingCheckpoint.fileHash);
+    setPendingCheckpoint(null);
+  };
+
   // Update field mapping
   const updateMapping = (sourceField, targetField) => {
     setFieldMapping(prev => ({
@@ -122,91 +301,402 @@ function DataImporter({ client, site, collections, isConnected }) {
     }));
   };
 
-  // Transform data based on mapping
+  // Transform data based on mapping, coercing each value to its field type.
+  // Returns one entry per source row: { index, data, errors }
   const transformData = () => {
-    return parsedData.map(row => {
-      const transformed = {};
-      // Preserve id for upsert mode (used to match existing items)
-      if (isUpdateMode && row.id) {
-        transformed.id = row.id;
-      }
+    const fieldsBySlug = Object.fromEntries(collectionFields.map(f => [f.slug, f]));
+    const coerceOptions = { locale: locale || undefined };
+
+    return parsedData.map((row, index) => {
+      const mapped = {};
       Object.entries(fieldMapping).forEach(([source, target]) => {
         if (target && row[source] !== undefined) {
-          transformed[target] = row[source];
+          mapped[target] = row[source];
         }
       });
-      return transformed;
+
+      const { data, errors } = coerceRow(mapped, fieldsBySlug, coerceOptions);
+      // Preserve id for upsert mode (used to match existing items)
+      if (isUpdateMode && row.id) {
+        data.id = row.id;
+      }
+      return { index, data, errors };
+    });
+  };
+
+  // Resolve Reference/MultiReference values (slugs or names) to item IDs.
+  // Unresolved values become row errors unless stubs are being created for them.
+  // beforeWrite(rows) runs once references are resolved but before any stub is
+  // created; returning false cancels the run (resolveReferences returns null).
+  const resolveReferences = async (rows, dryRun, beforeWrite = null) => {
+    const fieldsBySlug = Object.fromEntries(collectionFields.map(f => [f.slug, f]));
+    const mappedFields = Object.values(fieldMapping).filter(Boolean).map(slug => fieldsBySlug[slug]).filter(Boolean);
+    if (getReferenceTargets(mappedFields).length === 0) {
+      if (beforeWrite && !(await beforeWrite(rows))) return null;
+      return { rows, unresolved: [], stubs: [] };
+    }
+
+    setUpsertProgress({ phase: 'references', message: 'Loading referenced collections...' });
+    const lookups = await loadReferenceLookups(client, mappedFields);
+
+    const resolveAll = () => rows.map(row => {
+      const { data, unresolved } = resolveRowReferences(row.data, fieldsBySlug, lookups);
+      return { ...row, data, unresolved: unresolved.map(ref => ({ ...ref, index: row.index })) };
     });
+
+    let resolved = resolveAll();
+    if (beforeWrite && !(await beforeWrite(resolved))) return null;
+    let stubs = [];
+    // Why a stub couldn't be created, by referenced collection and slug
+    const stubErrors = new Map();
+    const stubKey = (ref) => `${ref.collectionId}:${slugify(ref.value)}`;
+    const pending = resolved.filter(r => r.errors.length === 0).flatMap(r => r.unresolved);
+
+    if (createMissingRefs && !dryRun && pending.length > 0) {
+      setUpsertProgress({ phase: 'references', message: `Creating ${pending.length} referenced items...` });
+      const { created, errors } = await createReferenceStubs(client, pending, lookups, {
+        isLive: publishTarget === 'live',
+        isDraft: publishTarget === 'draft',
+      });
+      stubs = created;
+      errors.forEach(e => stubErrors.set(stubKey(e), e.error));
+      resolved = resolveAll();
+    }
+
+    const collectionName = (id) => {
+      const c = collections.find(c => c.id === id);
+      return c?.displayName || c?.name || id;
+    };
+    const keepAsStub = createMissingRefs && dryRun;
+
+    return {
+      rows: resolved.map(({ unresolved, ...row }) => ({
+        ...row,
+        errors: keepAsStub ? row.errors : [
+          ...row.errors,
+          ...unresolved.map(ref => ({
+            message: stubErrors.has(stubKey(ref))
+              ? `${ref.fieldName}: couldn't create "${ref.value}" in ${collectionName(ref.collectionId)}: ${stubErrors.get(stubKey(ref))}`
+              : `${ref.fieldName}: no item matching "${ref.value}" in ${collectionName(ref.collectionId)}`,
+          })),
+        ],
+      })),
+      unresolved: resolved.flatMap(r => r.unresolved).map(ref => ({ ...ref, collectionName: collectionName(ref.collectionId) })),
+      stubs,
+    };
+  };
+
+  // Image / MultiImage fields that a column is mapped to
+  const mappedImageFields = () => collectionFields.filter(f =>
+    ['Image', 'MultiImage'].includes(f.type) && Object.values(fieldMapping).includes(f.slug)
+  );
+
+  // Turn per-row coercion failures into import errors
+  const coercionErrors = (rows) => rows
+    .filter(r => r.errors.length > 0)
+    .map(r => ({
+      success: false,
+      index: r.index,
+      error: r.errors.map(e => e.message).join('; '),
+      item: r.data,
+    }));
+
+  // Map result/error indexes from the submitted subset back to source row numbers
+  const remapIndexes = (entries, rows) => entries.map(e => ({ ...e, index: rows[e.index].index }));
+
+  // Staged target: publish just the items this run created or updated,
+  // including reference stubs in other collections
+  const publishTouchedItems = async (results, stubs) => {
+    const idsByCollection = {
+      [selectedCollection.id]: results
+        .filter(r => r.action === 'created' || r.action === 'updated')
+        .map(r => r.itemId || r.data?.id)
+        .filter(Boolean),
+    };
+    stubs.forEach(s => (idsByCollection[s.collectionId] ||= []).push(s.id));
+
+    let published = 0;
+    const errors = [];
+    for (const [collectionId, ids] of Object.entries(idsByCollection)) {
+      if (ids.length === 0) continue;
+      setUpsertProgress({ phase: 'publishing', message: `Publishing ${ids.length} items...` });
+      const result = await client.publishItems(collectionId, ids, (progress) => setUpsertProgress(progress));
+      published += result.results.length;
+      errors.push(...result.errors.map(e => ({ id: ids[e.index], error: e.error })));
+    }
+    return { published, errors };
   };
 
-  // Run import (dryRunOverride lets the "Run Live" button bypass stale closure)
-  const runImport = async (dryRunOverride) => {
+  // Run import (dryRunOverride lets the "Run Live" button bypass stale closure).
+  // onlyRows limits the run to a set of source row indexes (used to retry failures).
+  const runImport = async (dryRunOverride, onlyRows = null) => {
     if (!selectedCollection || !parsedData?.length) return;
 
     const dryRun = dryRunOverride !== undefined ? dryRunOverride : isDryRun;
+    const effectiveMatchFields = matchFields.length > 0 ? matchFields : DEFAULT_MATCH_FIELDS;
+    const isLive = publishTarget === 'live';
+    const isDraft = publishTarget === 'draft';
 
     setIsImporting(true);
     setError(null);
     setUpsertProgress(null);
 
     try {
-      const transformedData = transformData();
+      const transformed = onlyRows ? transformData().filter(r => onlyRows.has(r.index)) : transformData();
+
+      // Full sync: find existing items that aren't in the file. Every parsed row
+      // counts as present, including rows that failed or were already committed.
+      // This is confirmed before reference stubs or re-hosted images are written.
+      const runSync = isUpdateMode && isSyncMode && !onlyRows;
+      let toRemove = [];
+      const confirmSync = async (present) => {
+        if (present.length === 0) throw new Error('The file has no rows; refusing to sync an empty source');
+        // A row whose match key didn't coerce can't be matched, so the item it
+        // was meant to update would look missing and be removed
+        const badKeys = present.filter(r => r.errors.some(e => effectiveMatchFields.includes(e.field)));
+        if (badKeys.length > 0) {
+          throw new Error(`Rows ${badKeys.map(r => r.index + 1).join(', ')} have an invalid ${effectiveMatchFields.join(' + ')} value; fix them before running a full sync`);
+        }
+        setUpsertProgress({ phase: 'fetching', message: 'Finding items missing from the file...' });
+        const existingItems = await client.getAllItems(selectedCollection.id);
+        toRemove = itemsToRemove(findMissingItems(existingItems, present.map(r => r.data), effectiveMatchFields), syncAction);
+
+        const verb = SYNC_ACTIONS[syncAction].label.toLowerCase();
+        return dryRun || toRemove.length === 0 ||
+          confirm(`Full sync will ${verb} ${toRemove.length} of ${existingItems.length} existing items that aren't in this file. Continue?`);
+      };
+
+      const resolved = await resolveReferences(transformed, dryRun, runSync ? confirmSync : null);
+      if (!resolved) return;
+      const { unresolved, stubs } = resolved;
+      const alreadyCommitted = new Set(resumeCheckpoint?.processedRows || []);
+
+      // Download, optimize and upload mapped image URLs (live runs only, so a
+      // preview never uploads anything). Failed images become row errors.
+      let rows = resolved.rows;
+      const imageFields = mappedImageFields();
+      if (rehostImages && !dryRun && imageFields.length > 0) {
+        const rehosted = await rehostRowImages(
+          client,
+          site.id,
+          rows.filter(r => !alreadyCommitted.has(r.index)),
+          imageFields,
+          rehostOptions,
+          setUpsertProgress
+        );
+        const byIndex = new Map(rehosted.map(r => [r.index, r]));
+        rows = rows.map(r => byIndex.get(r.index) || r);
+      }
+
+      const rowErrors = coercionErrors(rows);
+      // Rows that failed coercion are never sent to Webflow, and rows committed
+      // by an interrupted session are skipped when resuming
+      const validRows = rows.filter(r => r.errors.length === 0 && !alreadyCommitted.has(r.index));
+      const transformedData = validRows.map(r => r.data);
+
+      // Checkpoint full live runs after every committed batch
+      const checkpoint = !dryRun && fileHash && !onlyRows ? createCheckpoint({
+        fileHash,
+        fileName: file?.name,
+        collection: selectedCollection,
+        fieldMapping,
+        isUpdateMode,
+        isSyncMode,
+        syncAction,
+        matchFields,
+        publishTarget,
+        rehostOptions: rehostImages ? rehostOptions : null,
+        locale,
+        total: rows.length,
+        previous: resumeCheckpoint,
+      }) : null;
+      if (checkpoint) saveCheckpoint(checkpoint);
+
+      // Items created by the interrupted session go into this run's journal,
+      // so reverting the resumed import removes them too
+      const createdEarlier = checkpoint && resumeCheckpoint
+        ? (resumeCheckpoint.createdItems || []).map(c => ({ action: 'created', index: c.index, data: { id: c.id } }))
+        : [];
+
+      const handleProgress = (progress) => {
+        setUpsertProgress(progress);
+        if (checkpoint && progress.committed?.length) {
+          recordCommitted(checkpoint, remapIndexes(progress.committed, validRows));
+        }
+      };
 
       if (dryRun) {
-        // Dry run - just show what would be imported
-        const itemsWithId = transformedData.filter(d => d.id).length;
-        const itemsWithSlug = transformedData.filter(d => d.slug && !d.id).length;
-        const itemsNew = transformedData.length - itemsWithId - itemsWithSlug;
+        // Dry run - compare against the live collection without writing anything
+        setUpsertProgress({ phase: 'fetching', message: 'Fetching existing items...' });
+        const existingItems = await client.getAllItems(selectedCollection.id);
+        const plan = planImport(existingItems, transformedData, { upsert: isUpdateMode, matchFields: effectiveMatchFields });
+
+        // Keys that would match more than one row or item
+        const duplicateKeys = isUpdateMode ? {
+          incoming: findDuplicateKeys(transformedData, effectiveMatchFields)
+            .map(d => ({ key: d.key, rows: d.rows.map(i => validRows[i].index) })),
+          existing: [...buildItemIndex(existingItems, effectiveMatchFields).duplicates.entries()]
+            .map(([key, items]) => ({ key, items: items.map(item => item.fieldData?.slug || item.id) })),
+        } : null;
+
         setImportResults({
           mode: 'dry-run',
-          total: transformedData.length,
+          total: rows.length,
           preview: transformedData.slice(0, 5),
           success: transformedData.length,
-          errors: [],
+          errors: rowErrors,
           isUpdateMode,
-          itemsWithId,
-          itemsWithSlug,
-          itemsNew,
+          existingCount: existingItems.length,
+          created: plan.filter(p => p.action === 'create').length,
+          updated: plan.filter(p => p.action === 'update').length,
+          unchanged: plan.filter(p => p.action === 'unchanged').length,
+          duplicates: plan.filter(p => p.duplicateOf).length,
+          changes: plan
+            .filter(p => p.action === 'update')
+            .map(p => ({
+              ...p,
+              index: validRows[p.index].index,
+              label: transformedData[p.index].slug || transformedData[p.index].name || p.existingId,
+            })),
+          unresolvedReferences: unresolved,
+          createMissingRefs,
+          rehostImages: rehostImages && imageFields.length > 0,
+          resumedSkipped: alreadyCommitted.size,
+          matchFields: effectiveMatchFields,
+          duplicateKeys,
+          isSyncMode: runSync,
+          syncAction,
+          missingItems: toRemove.map(item => ({
+            id: item.id,
+            name: item.fieldData?.name,
+            slug: item.fieldData?.slug,
+            lastPublished: item.lastPublished,
+          })),
         });
       } else if (isUpdateMode) {
         // Upsert import - update existing, create new
         const result = await client.upsertItems(
           selectedCollection.id,
           transformedData,
-          true,
-          (progress) => setUpsertProgress(progress)
+          isLive,
+          handleProgress,
+          { matchFields: effectiveMatchFields, isDraft }
         );
+
+        // Remove what the file no longer contains
+        let sync = { removed: [], errors: [] };
+        if (runSync && toRemove.length > 0) {
+          setUpsertProgress({ phase: 'syncing', message: `Removing ${toRemove.length} missing items...` });
+          sync = await applySyncAction(client, selectedCollection.id, toRemove, syncAction, handleProgress);
+        }
+
+        const publish = publishTarget === 'staged' ? await publishTouchedItems(result.results, stubs) : null;
+        await recordJournal([...createdEarlier, ...remapIndexes(result.results, validRows)], stubs, sync.removed);
         setImportResults({
           mode: 'live',
-          total: result.total,
+          total: rows.length,
           success: result.results.length,
-          errors: result.errors,
+          errors: [...rowErrors, ...remapIndexes(result.errors, validRows)].sort((a, b) => a.index - b.index),
           preview: result.results.slice(0, 5).map(r => r.data),
           updated: result.updated,
           created: result.created,
+          unchanged: result.unchanged,
           isUpdateMode: true,
+          isRetry: !!onlyRows,
+          isSyncMode: runSync,
+          syncAction,
+          removed: sync.removed.length,
+          syncErrors: sync.errors,
+          stubsCreated: stubs,
+          resumedSkipped: alreadyCommitted.size,
+          publishTarget,
+          published: publish?.published,
+          publishErrors: publish?.errors || [],
           _debug: result._debug,
         });
       } else {
         // Create-only import
-        const result = await client.createItems(selectedCollection.id, transformedData, true);
+        const result = await client.createItems(
+          selectedCollection.id,
+          transformedData,
+          isLive,
+          handleProgress,
+          { isDraft }
+        );
+        const publish = publishTarget === 'staged' ? await publishTouchedItems(result.results, stubs) : null;
+        await recordJournal([...createdEarlier, ...remapIndexes(result.results, validRows)], stubs);
         setImportResults({
           mode: 'live',
-          total: result.total,
+          total: rows.length,
           success: result.results.length,
-          errors: result.errors,
+          errors: [...rowErrors, ...remapIndexes(result.errors, validRows)].sort((a, b) => a.index - b.index),
           preview: result.results.slice(0, 5).map(r => r.data),
           isUpdateMode: false,
+          isRetry: !!onlyRows,
+          stubsCreated: stubs,
+          resumedSkipped: alreadyCommitted.size,
+          publishTarget,
+          published: publish?.published,
+          publishErrors: publish?.errors || [],
         });
       }
+
+      // The run finished, so there's nothing left to resume
+      if (checkpoint) {
+        clearCheckpoint(checkpoint.fileHash);
+        setResumeCheckpoint(null);
+      }
     } catch (err) {
-      setError(`Import failed: ${err.message}`);
+      // Keep whatever was committed so running again picks up from there
+      const saved = !dryRun && fileHash && !onlyRows ? loadCheckpoint(fileHash) : null;
+      if (saved?.processedRows.length) {
+        setResumeCheckpoint(saved);
+        setError(`Import failed: ${err.message}. ${saved.processedRows.length} rows were committed; run the import again to resume.`);
+      } else {
+        setError(`Import failed: ${err.message}`);
+      }
     } finally {
       setIsImporting(false);
       setUpsertProgress(null);
     }
   };
 
+  // Re-submit only the rows that failed in the last run (after any inline edits)
+  const retryFailedRows = () => {
+    const failed = new Set(importResults.errors.map(e => e.index));
+    setIsEditingFailed(false);
+    setIsDryRun(false);
+    setImportResults(null);
+    runImport(false, failed);
+  };
+
+  // Edit a source cell of a failed row
+  const updateSourceCell = (index, header, value) => {
+    setParsedData(prev => prev.map((row, i) => (i === index ? { ...row, [header]: value } : row)));
+  };
+
+  // Download the failed source rows with their error, ready to fix and re-import
+  const downloadFailedRows = () => {
+    const errorColumn = headers.includes('import_error') ? '_import_error' : 'import_error';
+    const cell = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? '');
+
+    const csv = Papa.unparse({
+      fields: [...headers, errorColumn],
+      data: importResults.errors.map(err => [
+        ...headers.map(h => cell(parsedData[err.index]?.[h])),
+        err.error,
+      ]),
+    });
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(file?.name || 'import').replace(/\.[^/.]+$/, '')}-failed-rows.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   // Reset importer
   const reset = () => {
     setFile(null);
@@ -219,6 +709,17 @@ function DataImporter({ client, site, collections, isConnected }) {
     setImportResults(null);
     setIsUpdateMode(false);
     setUpsertProgress(null);
+    setCreateMissingRefs(false);
+    setJournal(null);
+    setRevertResult(null);
+    setFileHash(null);
+    setPendingCheckpoint(null);
+    setResumeCheckpoint(null);
+    setIsEditingFailed(false);
+    setMatchFields([]);
+    setIsSyncMode(false);
+    setPublishTarget('live');
+    setRehostImages(false);
     setError(null);
   };
 
@@ -259,7 +760,7 @@ function DataImporter({ client, site, collections, isConnected }) {
       <div className="mb-6">
         <span className="section-label">Data Import</span>
         <h2 className="text-2xl text-pm-text mt-2">Bulk Upload</h2>
-        <p className="text-pm-text-muted text-sm mt-1">Import CSV or JSON data into Webflow CMS collections</p>
+        <p className="text-pm-text-muted text-sm mt-1">Import CSV, Excel or JSON data into Webflow CMS collections</p>
       </div>
 
       {error && (
@@ -272,6 +773,21 @@ function DataImporter({ client, site, collections, isConnected }) {
         </div>
       )}
 
+      {revertResult && (
+        <div className={`mb-6 p-4 border flex items-center gap-3 text-sm ${
+          revertResult.errors.length ? 'bg-pm-warning/10 border-pm-warning/30 text-pm-warning' : 'bg-pm-success/10 border-pm-success/30 text-pm-success'
+        }`}>
+          <Undo2 className="w-5 h-5 flex-shrink-0" />
+          <span>
+            Import reverted: {revertResult.restored} items restored, {revertResult.deleted} items deleted
+            {revertResult.errors.length > 0 && ` • ${revertResult.errors.length} failed (${revertResult.errors.map(e => `${e.id}: ${e.error}`).join('; ')})`}
+          </span>
+          <button onClick={() => setRevertResult(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       {/* Step 1: Upload File */}
       {!parsedData && (
         <div 
@@ -284,7 +800,7 @@ function DataImporter({ client, site, collections, isConnected }) {
           <input
             id="file-input"
             type="file"
-            accept=".csv,.json"
+            accept=".csv,.xlsx,.json"
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -294,12 +810,15 @@ function DataImporter({ client, site, collections, isConnected }) {
             </div>
             <div>
               <p className="text-pm-text mb-1">Drop your file here or click to browse</p>
-              <p className="text-pm-text-muted text-sm">Supports CSV and JSON files</p>
+              <p className="text-pm-text-muted text-sm">Supports CSV, Excel (.xlsx) and JSON files</p>
             </div>
             <div className="flex gap-4 text-pm-text-muted text-xs">
               <span className="flex items-center gap-1">
                 <FileSpreadsheet className="w-4 h-4" /> CSV
               </span>
+              <span className="flex items-center gap-1">
+                <FileSpreadsheet className="w-4 h-4" /> XLSX
+              </span>
               <span className="flex items-center gap-1">
                 <FileJson className="w-4 h-4" /> JSON
               </span>
@@ -308,6 +827,59 @@ function DataImporter({ client, site, collections, isConnected }) {
         </div>
       )}
 
+      {/* Import History */}
+      {!parsedData && journals.length > 0 && (
+        <div className="card mt-6">
+          <h3 className="text-xs uppercase tracking-widest text-pm-accent mb-4">
+            <History className="w-4 h-4 inline mr-2" />
+            Import History
+          </h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>File</th>
+                <th>Collection</th>
+                <th>Changes</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {journals.slice(0, 10).map(j => (
+                <tr key={j.id}>
+                  <td className="text-xs">{new Date(j.createdAt).toLocaleString()}</td>
+                  <td className="text-pm-text">{j.fileName || '-'}</td>
+                  <td>{j.collectionName}</td>
+                  <td className="text-xs">
+                    {j.updated.length} updated • {j.created.length} created
+                    {j.removed?.length > 0 && ` • ${j.removed.length} removed`}
+                  </td>
+                  <td>
+                    <div className="flex gap-1 justify-end">
+                      <button onClick={() => downloadJournal(j)} className="p-1 text-pm-text-muted hover:text-pm-accent" title="Download journal">
+                        <Download className="w-4 h-4" />
+                      </button>
+                      {j.revertedAt ? (
+                        <span className="badge badge-info">Reverted</span>
+                      ) : (
+                        <button
+                          onClick={() => handleRevert(j)}
+                          disabled={isReverting}
+                          className="p-1 text-pm-text-muted hover:text-pm-error"
+                          title="Revert this import"
+                        >
+                          {isReverting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Undo2 className="w-4 h-4" />}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Step 2: Map Fields */}
       {parsedData && !importResults && (
         <div className="space-y-6">
@@ -315,7 +887,7 @@ function DataImporter({ client, site, collections, isConnected }) {
           <div className="card">
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-3">
-                {fileType === 'csv' ? (
+                {fileType === 'csv' || fileType === 'xlsx' ? (
                   <FileSpreadsheet className="w-8 h-8 text-pm-accent" />
                 ) : (
                   <FileJson className="w-8 h-8 text-pm-accent" />
@@ -332,6 +904,38 @@ function DataImporter({ client, site, collections, isConnected }) {
             </div>
           </div>
 
+          {/* Resume interrupted import */}
+          {pendingCheckpoint && (
+            <div className="bg-pm-gray border border-pm-warning/50 p-6">
+              <h3 className="text-xs uppercase tracking-widest text-pm-warning mb-2">Unfinished Import Found</h3>
+              <p className="text-pm-text text-sm">
+                This file was being imported into <span className="text-pm-accent">{pendingCheckpoint.collectionName}</span> on{' '}
+                {new Date(pendingCheckpoint.updatedAt).toLocaleString()} and stopped after{' '}
+                {pendingCheckpoint.processedRows.length} of {pendingCheckpoint.total} rows.
+              </p>
+              <p className="text-pm-text-muted text-xs mt-1">
+                Resuming restores the collection, mapping and mode, and skips the rows that were already committed.
+              </p>
+              <div className="flex gap-3 mt-4">
+                <button onClick={resumeImport} className="btn btn-primary text-xs">
+                  <Play className="w-4 h-4" />
+                  Resume
+                </button>
+                <button onClick={discardCheckpoint} className="btn btn-secondary text-xs">
+                  Start Fresh
+                </button>
+              </div>
+            </div>
+          )}
+
+          {resumeCheckpoint && (
+            <div className="p-4 bg-pm-blue/10 border border-pm-blue/30 text-sm text-pm-text">
+              Resuming: {resumeCheckpoint.processedRows.length} rows already committed will be skipped.
+              {resumeCheckpoint.createdItems?.length > 0 &&
+                ` The ${resumeCheckpoint.createdItems.length} items they created are added to this run's undo journal.`}
+            </div>
+          )}
+
           {/* Collection Selection */}
           <div className="card">
             <h3 className="text-xs uppercase tracking-widest text-pm-accent mb-4">Target Collection</h3>
@@ -361,24 +965,140 @@ function DataImporter({ client, site, collections, isConnected }) {
               <h3 className="text-xs uppercase tracking-widest text-pm-accent mb-4">Import Mode</h3>
               <div className="flex gap-4">
                 <button
-                  onClick={() => setIsUpdateMode(false)}
+                  onClick={() => { setIsUpdateMode(false); setIsSyncMode(false); }}
                   className={`flex-1 p-4 border text-left ${!isUpdateMode ? 'border-pm-accent bg-pm-accent/10' : 'border-pm-border hover:border-pm-border/60'}`}
                 >
                   <p className="text-pm-text font-medium mb-1">Create New</p>
                   <p className="text-pm-text-muted text-xs">Create new CMS items (may create duplicates)</p>
                 </button>
                 <button
-                  onClick={() => setIsUpdateMode(true)}
-                  className={`flex-1 p-4 border text-left ${isUpdateMode ? 'border-pm-accent bg-pm-accent/10' : 'border-pm-border hover:border-pm-border/60'}`}
+                  onClick={() => { setIsUpdateMode(true); setIsSyncMode(false); }}
+                  className={`flex-1 p-4 border text-left ${isUpdateMode && !isSyncMode ? 'border-pm-accent bg-pm-accent/10' : 'border-pm-border hover:border-pm-border/60'}`}
                 >
                   <p className="text-pm-text font-medium mb-1">Update Existing</p>
-                  <p className="text-pm-text-muted text-xs">Match by ID or slug — update existing, create only if new</p>
+                  <p className="text-pm-text-muted text-xs">Match by ID or key — update existing, create only if new</p>
+                </button>
+                <button
+                  onClick={() => { setIsUpdateMode(true); setIsSyncMode(true); }}
+                  className={`flex-1 p-4 border text-left ${isSyncMode ? 'border-pm-accent bg-pm-accent/10' : 'border-pm-border hover:border-pm-border/60'}`}
+                >
+                  <p className="text-pm-text font-medium mb-1">Full Sync</p>
+                  <p className="text-pm-text-muted text-xs">Upsert, then remove items that aren't in the file</p>
                 </button>
               </div>
+              <div className="mt-4 flex items-center gap-3">
+                <label className="text-xs text-pm-text-muted uppercase tracking-wider">Publish Target</label>
+                <select
+                  value={publishTarget}
+                  onChange={(e) => setPublishTarget(e.target.value)}
+                  className="text-sm py-1"
+                >
+                  {Object.entries(PUBLISH_TARGETS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <span className="text-pm-text-muted text-xs">{PUBLISH_TARGETS[publishTarget].description}</span>
+              </div>
+              {mappedImageFields().length > 0 && (
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-2 text-sm text-pm-text-muted cursor-pointer">
+                    <input type="checkbox" checked={rehostImages} onChange={(e) => setRehostImages(e.target.checked)} />
+                    Optimize and re-host image URLs
+                  </label>
+                  {rehostImages && (
+                    <>
+                      <select
+                        value={rehostOptions.preset}
+                        onChange={(e) => setRehostOptions({ ...rehostOptions, preset: e.target.value })}
+                        className="text-sm py-1"
+                      >
+                        {Object.entries(REHOST_PRESETS).map(([key, { label }]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={rehostOptions.quality}
+                        onChange={(e) => setRehostOptions({ ...rehostOptions, quality: e.target.value })}
+                        className="text-sm py-1"
+                      >
+                        {Object.entries(QUALITY_PRESETS).map(([key, { label }]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={rehostOptions.format}
+                        onChange={(e) => setRehostOptions({ ...rehostOptions, format: e.target.value })}
+                        className="text-sm py-1"
+                      >
+                        <option value="webp">WebP</option>
+                        <option value="jpeg">JPEG</option>
+                        <option value="png">PNG</option>
+                      </select>
+                      <span className="text-pm-text-muted text-xs w-full">
+                        Each image is downloaded, resized to fit the preset and uploaded to the site's assets before its row is written.
+                        Rows whose images fail are reported and not imported.
+                      </span>
+                    </>
+                  )}
+                </div>
+              )}
+              {isSyncMode && (
+                <div className="mt-4 flex items-center gap-3">
+                  <label className="text-xs text-pm-text-muted uppercase tracking-wider">Missing Items</label>
+                  <select
+                    value={syncAction}
+                    onChange={(e) => setSyncAction(e.target.value)}
+                    className="text-sm py-1"
+                  >
+                    {Object.entries(SYNC_ACTIONS).map(([key, { description }]) => (
+                      <option key={key} value={key}>{description}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               {isUpdateMode && (
-                <p className="text-pm-text-muted text-xs mt-3">
-                  Items with an "id" field will be matched by ID. Items without "id" will be matched by slug. Unmatched items will be created as new.
-                </p>
+                <div className="mt-4">
+                  <label className="text-xs text-pm-text-muted uppercase tracking-wider block mb-2">
+                    Match Key
+                  </label>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {(matchFields.length > 0 ? matchFields : DEFAULT_MATCH_FIELDS).map(slug => {
+                      const field = collectionFields.find(f => f.slug === slug);
+                      return (
+                        <span key={slug} className="badge badge-info flex items-center gap-1">
+                          {field?.displayName || slug}
+                          {matchFields.length > 0 && (
+                            <button onClick={() => setMatchFields(matchFields.filter(f => f !== slug))}>
+                              <X className="w-3 h-3" />
+                            </button>
+                          )}
+                        </span>
+                      );
+                    })}
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && setMatchFields([...matchFields, e.target.value])}
+                      className="text-sm py-1"
+                    >
+                      <option value="">{matchFields.length > 0 ? '+ Combine with field...' : 'Match by another field...'}</option>
+                      {collectionFields
+                        .filter(f => !matchFields.includes(f.slug) && !['MultiImage', 'RichText'].includes(f.type))
+                        .map(f => (
+                          <option key={f.id} value={f.slug}>{f.displayName || f.slug} ({f.type})</option>
+                        ))}
+                    </select>
+                  </div>
+                  {(matchFields.length > 0 ? matchFields : DEFAULT_MATCH_FIELDS)
+                    .filter(slug => !Object.values(fieldMapping).includes(slug)).length > 0 && (
+                    <p className="text-pm-warning text-xs mt-2">
+                      Map a column to every match key field, or rows can't be matched and will be created as new.
+                    </p>
+                  )}
+                  <p className="text-pm-text-muted text-xs mt-3">
+                    Items with an "id" column are matched by Webflow item ID. Other rows are matched on the match key
+                    (case-insensitive; all fields must match when combined). Unmatched rows are created as new.
+                  </p>
+                </div>
               )}
             </div>
           )}
@@ -417,9 +1137,23 @@ function DataImporter({ client, site, collections, isConnected }) {
               </div>
 
               <div className="mt-6 pt-6 border-t border-pm-border">
-                <p className="text-pm-text-muted text-sm mb-4">
-                  {Object.values(fieldMapping).filter(Boolean).length} of {headers.length} fields mapped
-                </p>
+                <div className="flex items-center justify-between mb-4">
+                  <p className="text-pm-text-muted text-sm">
+                    {Object.values(fieldMapping).filter(Boolean).length} of {headers.length} fields mapped
+                  </p>
+                  <label className="flex items-center gap-2 text-xs text-pm-text-muted">
+                    Number &amp; date format
+                    <select
+                      value={locale}
+                      onChange={(e) => setLocale(e.target.value)}
+                      className="text-sm py-1"
+                    >
+                      {LOCALES.map(l => (
+                        <option key={l.value} value={l.value}>{l.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
                 <div className="flex items-center gap-4">
                   <label className="flex items-center gap-2 cursor-pointer">
                     <input
@@ -430,8 +1164,19 @@ function DataImporter({ client, site, collections, isConnected }) {
                     />
                     <span className="text-sm text-pm-text-muted">Dry run (preview only)</span>
                   </label>
+                  {collectionFields.some(f => REFERENCE_TYPES.includes(f.type) && Object.values(fieldMapping).includes(f.slug)) && (
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={createMissingRefs}
+                        onChange={(e) => setCreateMissingRefs(e.target.checked)}
+                        className="accent-pm-accent"
+                      />
+                      <span className="text-sm text-pm-text-muted">Create missing referenced items</span>
+                    </label>
+                  )}
                   <button
-                    onClick={runImport}
+                    onClick={() => runImport()}
                     disabled={isImporting || Object.values(fieldMapping).filter(Boolean).length === 0}
                     className="btn btn-primary ml-auto"
                   >
@@ -443,7 +1188,7 @@ function DataImporter({ client, site, collections, isConnected }) {
                     ) : (
                       <>
                         {isDryRun ? <Eye className="w-4 h-4" /> : <Play className="w-4 h-4" />}
-                        {isDryRun ? 'Preview Import' : (isUpdateMode ? 'Run Upsert' : 'Run Import')}
+                        {isDryRun ? 'Preview Import' : isSyncMode ? 'Run Sync' : (isUpdateMode ? 'Run Upsert' : 'Run Import')}
                       </>
                     )}
                   </button>
@@ -500,40 +1245,109 @@ function DataImporter({ client, site, collections, isConnected }) {
               )}
               <div>
                 <h3 className="text-xl text-pm-text">
-                  {importResults.mode === 'dry-run' ? 'Preview Complete' : (importResults.isUpdateMode ? 'Upsert Complete' : 'Import Complete')}
+                  {importResults.mode === 'dry-run' ? 'Preview Complete' : importResults.isRetry ? 'Retry Complete' : importResults.isSyncMode ? 'Sync Complete' : (importResults.isUpdateMode ? 'Upsert Complete' : 'Import Complete')}
                 </h3>
                 <p className="text-pm-text-muted text-sm">
                   {importResults.success} of {importResults.total} items {importResults.mode === 'dry-run' ? 'ready to import' : 'processed'}
+                  {importResults.mode === 'dry-run' && ` • compared with ${importResults.existingCount} existing items`}
                 </p>
               </div>
             </div>
 
-            {/* Dry-run update mode info */}
-            {importResults.mode === 'dry-run' && importResults.isUpdateMode && (
-              <div className="mb-6 p-4 bg-pm-blue/10 border border-pm-blue/30 text-sm text-pm-text">
-                <p className="font-medium mb-1">Update Mode Preview</p>
+            {importResults.mode === 'dry-run' && importResults.rehostImages && (
+              <p className="mb-6 text-pm-text-muted text-sm">
+                Image URLs are not downloaded in a preview; the live run re-hosts them and reports failures per row.
+              </p>
+            )}
+
+            {importResults.resumedSkipped > 0 && (
+              <p className="mb-6 text-pm-text-muted text-sm">
+                {importResults.resumedSkipped} rows committed in an earlier session were skipped.
+              </p>
+            )}
+
+            {/* Create-only duplicates warning */}
+            {importResults.mode === 'dry-run' && !importResults.isUpdateMode && importResults.duplicates > 0 && (
+              <div className="mb-6 p-4 bg-pm-warning/10 border border-pm-warning/30 text-sm text-pm-text">
+                <p className="font-medium mb-1">Possible Duplicates</p>
                 <p className="text-pm-text-muted">
-                  {importResults.itemsWithId} items have an ID (will match by ID) &bull;{' '}
-                  {importResults.itemsWithSlug} items have a slug only (will match by slug) &bull;{' '}
-                  {importResults.itemsNew} items have no ID or slug (will be created as new)
+                  {importResults.duplicates} rows match an existing item by ID or slug and will be created again.
+                  Switch to Update Existing to update them instead.
+                </p>
+              </div>
+            )}
+
+            {/* Unresolved references */}
+            {importResults.mode === 'dry-run' && importResults.unresolvedReferences?.length > 0 && (
+              <div className="mb-6">
+                <h4 className="text-xs uppercase tracking-widest text-pm-warning mb-2">
+                  Unresolved References ({importResults.unresolvedReferences.length})
+                </h4>
+                <p className="text-pm-text-muted text-xs mb-2">
+                  {importResults.createMissingRefs
+                    ? 'These items will be created as stubs (name and slug only) in the referenced collection.'
+                    : 'No matching slug, name or ID was found in the referenced collection.'}
                 </p>
+                <div className="bg-pm-dark border border-pm-border p-4 max-h-40 overflow-auto">
+                  {importResults.unresolvedReferences.map((ref, i) => (
+                    <div key={i} className="text-sm text-pm-text-muted mb-1">
+                      Row {ref.index + 1}: {ref.fieldName} → <span className="text-pm-text font-mono">{ref.value}</span> ({ref.collectionName})
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {importResults.mode === 'live' && importResults.publishTarget === 'staged' && (
+              <div className={`mb-6 p-4 text-sm text-pm-text border ${importResults.publishErrors.length > 0 ? 'bg-pm-warning/10 border-pm-warning/30' : 'bg-pm-blue/10 border-pm-blue/30'}`}>
+                Published {importResults.published} staged item{importResults.published === 1 ? '' : 's'}.
+                {importResults.publishErrors.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {importResults.publishErrors.map((e, i) => (
+                      <div key={i} className="text-xs text-pm-text-muted">
+                        <span className="font-mono">{e.id}</span>: {e.error}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {importResults.mode === 'live' && importResults.publishTarget === 'draft' && (
+              <p className="mb-6 text-pm-text-muted text-sm">
+                New items were created as drafts and updates were saved to staged. Nothing was published.
+              </p>
+            )}
+
+            {importResults.stubsCreated?.length > 0 && (
+              <div className="mb-6 p-4 bg-pm-blue/10 border border-pm-blue/30 text-sm text-pm-text">
+                Created {importResults.stubsCreated.length} referenced stub item{importResults.stubsCreated.length === 1 ? '' : 's'}:{' '}
+                <span className="text-pm-text-muted">{importResults.stubsCreated.map(s => s.value).join(', ')}</span>
               </div>
             )}
 
             {/* Stats */}
-            {importResults.isUpdateMode && importResults.mode === 'live' ? (
-              <div className="grid grid-cols-4 gap-4 mb-6">
+            {importResults.isUpdateMode ? (
+              <div className="grid grid-cols-5 gap-4 mb-6">
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-text">{importResults.total}</p>
                   <p className="text-xs uppercase tracking-widest text-pm-text-muted">Total</p>
                 </div>
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-blue">{importResults.updated || 0}</p>
-                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">Updated</p>
+                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">
+                    {importResults.mode === 'dry-run' ? 'To Update' : 'Updated'}
+                  </p>
                 </div>
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-success">{importResults.created || 0}</p>
-                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">Created</p>
+                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">
+                    {importResults.mode === 'dry-run' ? 'To Create' : 'Created'}
+                  </p>
+                </div>
+                <div className="bg-pm-dark p-4 border border-pm-border">
+                  <p className="text-2xl text-pm-text-muted">{importResults.unchanged || 0}</p>
+                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">Unchanged</p>
                 </div>
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-error">{importResults.errors.length}</p>
@@ -548,7 +1362,9 @@ function DataImporter({ client, site, collections, isConnected }) {
                 </div>
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-success">{importResults.success}</p>
-                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">Successful</p>
+                  <p className="text-xs uppercase tracking-widest text-pm-text-muted">
+                    {importResults.mode === 'dry-run' ? 'To Create' : 'Successful'}
+                  </p>
                 </div>
                 <div className="bg-pm-dark p-4 border border-pm-border">
                   <p className="text-2xl text-pm-error">{importResults.errors.length}</p>
@@ -557,11 +1373,105 @@ function DataImporter({ client, site, collections, isConnected }) {
               </div>
             )}
 
+            {/* Full sync removals */}
+            {importResults.isSyncMode && importResults.mode === 'dry-run' && (
+              <div className="mb-6">
+                <h4 className="text-xs uppercase tracking-widest text-pm-error mb-2">
+                  Missing From File — Will Be {SYNC_ACTIONS[importResults.syncAction].past} ({importResults.missingItems.length})
+                </h4>
+                {importResults.missingItems.length > 0 ? (
+                  <div className="bg-pm-dark border border-pm-border p-4 max-h-48 overflow-auto">
+                    {importResults.missingItems.map(item => (
+                      <div key={item.id} className="text-sm text-pm-text-muted mb-1 flex items-center gap-2">
+                        <span className="text-pm-text">{item.name || 'Untitled'}</span>
+                        <span className="font-mono text-xs">{item.slug}</span>
+                        {item.lastPublished && <span className="badge badge-success">Live</span>}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-pm-text-muted text-sm">Every existing item is in the file; nothing will be removed.</p>
+                )}
+              </div>
+            )}
+
+            {importResults.isSyncMode && importResults.mode === 'live' && (
+              <div className="mb-6 p-4 bg-pm-dark border border-pm-border text-sm text-pm-text">
+                {importResults.removed} missing items {SYNC_ACTIONS[importResults.syncAction].past}.
+                {importResults.syncErrors?.length > 0 && (
+                  <div className="mt-2 text-pm-error">
+                    {importResults.syncErrors.map((e, i) => (
+                      <p key={i}>{e.id}: {e.error}</p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Duplicate match keys */}
+            {(importResults.duplicateKeys?.incoming.length > 0 || importResults.duplicateKeys?.existing.length > 0) && (
+              <div className="mb-6 p-4 bg-pm-warning/10 border border-pm-warning/30 text-sm">
+                <p className="text-pm-text font-medium mb-2">
+                  Duplicate Match Keys ({importResults.matchFields.join(' + ')})
+                </p>
+                <div className="max-h-40 overflow-auto space-y-1 text-pm-text-muted">
+                  {importResults.duplicateKeys.incoming.map(d => (
+                    <p key={`in-${d.key}`}>
+                      Incoming <span className="font-mono text-pm-text">{d.key}</span> on rows {d.rows.map(r => r + 1).join(', ')} — these rows will write to the same item
+                    </p>
+                  ))}
+                  {importResults.duplicateKeys.existing.map(d => (
+                    <p key={`ex-${d.key}`}>
+                      Existing <span className="font-mono text-pm-text">{d.key}</span> on {d.items.length} items ({d.items.join(', ')}) — only the first is updated
+                    </p>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Field-by-field changes for updated items */}
+            {importResults.changes?.length > 0 && (
+              <div className="mb-6">
+                <h4 className="text-xs uppercase tracking-widest text-pm-blue mb-2">
+                  Changes ({importResults.changes.length})
+                </h4>
+                <div className="bg-pm-dark border border-pm-border max-h-96 overflow-auto">
+                  {importResults.changes.map(row => (
+                    <details key={row.index} className="px-4 py-2 border-b border-pm-border/50">
+                      <summary className="cursor-pointer text-sm text-pm-text">
+                        Row {row.index + 1}: <span className="font-mono">{row.label}</span>{' '}
+                        <span className="text-pm-text-muted">({row.changes.length} field{row.changes.length === 1 ? '' : 's'})</span>
+                      </summary>
+                      <table className="mt-2">
+                        <thead>
+                          <tr>
+                            <th>Field</th>
+                            <th>Before</th>
+                            <th>After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {row.changes.map(change => (
+                            <tr key={change.field}>
+                              <td className="font-mono text-xs">{change.field}</td>
+                              <td className="max-w-xs truncate text-pm-error/80">{formatDiffValue(change.before)}</td>
+                              <td className="max-w-xs truncate text-pm-success">{formatDiffValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </details>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Debug info for upsert */}
             {importResults._debug && (
               <div className="mb-6 p-4 bg-pm-gray border border-pm-border text-xs font-mono overflow-auto max-h-48">
                 <p className="text-pm-accent mb-2 uppercase tracking-widest text-xs font-sans">Diagnostic Info</p>
-                <p className="text-pm-text-muted">Existing items fetched: <span className="text-pm-text">{importResults._debug.existingCount}</span></p>
+                <p className="text-pm-text-muted">Match key: <span className="text-pm-text">{importResults._debug.matchFields?.join(' + ') || 'slug'}</span></p>
+                <p className="text-pm-text-muted mt-1">Existing items fetched: <span className="text-pm-text">{importResults._debug.existingCount}</span></p>
                 <p className="text-pm-text-muted mt-1">Existing IDs (first 5): <span className="text-pm-text">{importResults._debug.existingIds?.join(', ') || 'none'}</span></p>
                 <p className="text-pm-text-muted mt-1">Existing slugs (first 5): <span className="text-pm-text">{importResults._debug.existingSlugs?.join(', ') || 'none'}</span></p>
                 <p className="text-pm-text-muted mt-1">Incoming IDs (first 5): <span className="text-pm-text">{importResults._debug.incomingIds?.join(', ') || 'none'}</span></p>
@@ -573,12 +1483,70 @@ function DataImporter({ client, site, collections, isConnected }) {
             {importResults.errors.length > 0 && (
               <div className="mb-6">
                 <h4 className="text-xs uppercase tracking-widest text-pm-error mb-2">Errors</h4>
-                <div className="bg-pm-error/10 border border-pm-error/30 p-4 max-h-40 overflow-auto">
-                  {importResults.errors.map((err, i) => (
-                    <div key={i} className="text-sm text-pm-error mb-1">
-                      Row {err.index + 1}: {err.error}
-                    </div>
-                  ))}
+                {importResults.mode === 'dry-run' && (
+                  <p className="text-pm-text-muted text-xs mb-2">
+                    These rows have values that can't be converted or resolved and will be skipped on the live run.
+                  </p>
+                )}
+                {isEditingFailed ? (
+                  <div className="bg-pm-dark border border-pm-border max-h-96 overflow-auto">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th className="px-2">Row</th>
+                          {headers.map(h => (
+                            <th key={h} className="px-2 font-mono normal-case">{h}</th>
+                          ))}
+                          <th className="px-2">Error</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importResults.errors.map(err => (
+                          <tr key={err.index}>
+                            <td className="px-2 text-xs">{err.index + 1}</td>
+                            {headers.map(h => {
+                              const value = parsedData[err.index]?.[h];
+                              return (
+                                <td key={h} className="px-1 py-1">
+                                  <input
+                                    type="text"
+                                    value={value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? ''}
+                                    onChange={(e) => updateSourceCell(err.index, h, e.target.value)}
+                                    className="w-40 text-xs px-2 py-1"
+                                  />
+                                </td>
+                              );
+                            })}
+                            <td className="px-2 text-xs text-pm-error min-w-[16rem]">{err.error}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div className="bg-pm-error/10 border border-pm-error/30 p-4 max-h-40 overflow-auto">
+                    {importResults.errors.map((err, i) => (
+                      <div key={i} className="text-sm text-pm-error mb-1">
+                        Row {err.index + 1}: {err.error}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="flex gap-2 mt-3">
+                  <button onClick={downloadFailedRows} className="btn btn-ghost text-xs">
+                    <Download className="w-4 h-4" />
+                    Failed Rows CSV
+                  </button>
+                  <button onClick={() => setIsEditingFailed(!isEditingFailed)} className="btn btn-ghost text-xs">
+                    <Edit2 className="w-4 h-4" />
+                    {isEditingFailed ? 'Done Editing' : 'Edit Failed Rows'}
+                  </button>
+                  {importResults.mode === 'live' && (
+                    <button onClick={retryFailedRows} disabled={isImporting} className="btn btn-secondary text-xs ml-auto">
+                      <RotateCcw className="w-4 h-4" />
+                      Retry Failed Rows ({importResults.errors.length})
+                    </button>
+                  )}
                 </div>
               </div>
             )}
@@ -595,9 +1563,25 @@ function DataImporter({ client, site, collections, isConnected }) {
                   className="btn btn-primary"
                 >
                   <Play className="w-4 h-4" />
-                  {isUpdateMode ? 'Run Live Upsert' : 'Run Live Import'}
+                  {isSyncMode ? 'Run Live Sync' : isUpdateMode ? 'Run Live Upsert' : 'Run Live Import'}
                 </button>
               )}
+              {importResults.mode === 'live' && journal && (
+                <>
+                  <button onClick={() => downloadJournal(journal)} className="btn btn-secondary">
+                    <Download className="w-4 h-4" />
+                    Journal
+                  </button>
+                  <button
+                    onClick={() => handleRevert(journal)}
+                    disabled={isReverting || !!journal.revertedAt}
+                    className="btn btn-danger ml-auto"
+                  >
+                    {isReverting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Undo2 className="w-4 h-4" />}
+                    {isReverting ? (upsertProgress?.message || 'Reverting...') : journal.revertedAt ? 'Reverted' : 'Revert This Import'}
+                  </button>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,123 @@
+import { Plus, X } from 'lucide-react';
+import { FIELD_SETTINGS, NUMBER_FORMATS } from '../utils/fieldSchema';
+
+/**
+ * Help text plus the type-specific settings (length limits, number range,
+ * option choices, reference target) of a field draft. Webflow can't change
+ * those settings on an existing field, so they're shown read-only there.
+ */
+function FieldSettings({ draft, onChange, collections, isExisting = false }) {
+  const settings = draft.settings;
+  const keys = FIELD_SETTINGS[draft.type] || [];
+  const setSetting = (key, value) => onChange({ ...draft, settings: { ...settings, [key]: value } });
+
+  const setOption = (index, name) => {
+    setSetting('options', settings.options.map((o, i) => (i === index ? { ...o, name } : o)));
+  };
+
+  const numberInput = (key, label) => (
+    <label key={key} className="flex items-center gap-2 text-xs text-pm-text-muted uppercase tracking-wider">
+      {label}
+      <input
+        type="number"
+        value={settings[key]}
+        onChange={(e) => setSetting(key, e.target.value)}
+        disabled={isExisting}
+        className="w-24 text-sm py-1 px-2 normal-case"
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-3">
+      <input
+        type="text"
+        value={draft.helpText}
+        onChange={(e) => onChange({ ...draft, helpText: e.target.value })}
+        placeholder="Help text shown to editors"
+        className="w-full text-sm py-1"
+      />
+
+      {keys.includes('maxLength') && (
+        <div className="flex gap-4">
+          {numberInput('minLength', 'Min length')}
+          {numberInput('maxLength', 'Max length')}
+        </div>
+      )}
+
+      {keys.includes('format') && (
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2 text-xs text-pm-text-muted uppercase tracking-wider">
+            Format
+            <select value={settings.format} onChange={(e) => setSetting('format', e.target.value)} disabled={isExisting} className="text-sm py-1">
+              {Object.entries(NUMBER_FORMATS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {numberInput('minValue', 'Min')}
+          {numberInput('maxValue', 'Max')}
+        </div>
+      )}
+
+      {keys.includes('options') && (
+        <div>
+          <p className="text-xs text-pm-text-muted uppercase tracking-wider mb-2">Choices</p>
+          <div className="space-y-1">
+            {settings.options.map((option, i) => (
+              <div key={option.id || i} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={option.name}
+                  onChange={(e) => setOption(i, e.target.value)}
+                  placeholder="Choice name"
+                  disabled={isExisting}
+                  className="flex-1 text-sm py-1"
+                />
+                {!isExisting && (
+                  <button
+                    onClick={() => setSetting('options', settings.options.filter((_, j) => j !== i))}
+                    className="p-1 text-pm-text-muted hover:text-pm-error"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          {!isExisting && (
+            <button
+              onClick={() => setSetting('options', [...settings.options, { name: '' }])}
+              className="btn btn-ghost text-xs mt-2"
+            >
+              <Plus className="w-3 h-3" />
+              Add Choice
+            </button>
+          )}
+        </div>
+      )}
+
+      {keys.includes('collectionId') && (
+        <div>
+          <label className="flex items-center gap-2 text-xs text-pm-text-muted uppercase tracking-wider">
+            References
+            <select value={settings.collectionId} onChange={(e) => setSetting('collectionId', e.target.value)} disabled={isExisting} className="text-sm py-1 normal-case">
+              <option value="">Choose a collection...</option>
+              {collections.map(c => (
+                <option key={c.id} value={c.id}>{c.displayName || c.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {isExisting && keys.length > 0 && (
+        <p className="text-pm-text-muted text-xs">
+          These settings are fixed once a field exists; change them in the Webflow Designer.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FieldSettings;
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { Search, Play, Eye, Loader2, AlertCircle, CheckCircle2, X } from 'lucide-react';
+import { SEARCHABLE_TYPES, buildMatcher, findMatches, changesToUpdates } from '../utils/findReplace';
+import { saveItemUpdates } from '../utils/itemUpdates';
+
+/**
+ * Find and replace text across the given items' PlainText, RichText and Link
+ * fields. Runs as a preview first, then applies the same changes live.
+ */
+function FindReplace({ client, collection, fields, items, onItemsSaved }) {
+  const searchableFields = fields.filter(f => SEARCHABLE_TYPES.includes(f.type));
+
+  const [find, setFind] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [scope, setScope] = useState([]);
+  const [isDryRun, setIsDryRun] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Search every text field by default when the collection changes
+  useEffect(() => {
+    setScope(fields.filter(f => SEARCHABLE_TYPES.includes(f.type)).map(f => f.slug));
+    setResults(null);
+    setError(null);
+  }, [collection.id, fields]);
+
+  const toggleField = (slug) => {
+    setScope(scope.includes(slug) ? scope.filter(s => s !== slug) : [...scope, slug]);
+  };
+
+  // Run find/replace (dryRunOverride lets the "Apply Live" button bypass stale closure)
+  const run = async (dryRunOverride) => {
+    const dryRun = dryRunOverride !== undefined ? dryRunOverride : isDryRun;
+
+    let matcher;
+    try {
+      matcher = buildMatcher(find, { isRegex, caseSensitive });
+    } catch (err) {
+      setError(`Invalid regular expression: ${err.message}`);
+      return;
+    }
+
+    setError(null);
+    setResults(null);
+    const changes = findMatches(items, searchableFields.filter(f => scope.includes(f.slug)), matcher, replacement);
+    const updates = changesToUpdates(changes);
+
+    if (dryRun) {
+      setResults({ mode: 'dry-run', changes, itemCount: updates.length });
+      return;
+    }
+    if (updates.length === 0) {
+      setResults({ mode: 'live', changes, itemCount: 0, saved: 0, failed: {} });
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      const { saved, failed } = await saveItemUpdates(client, collection.id, updates, items, setProgress);
+      onItemsSaved(saved);
+      setResults({
+        mode: 'live',
+        changes,
+        itemCount: updates.length,
+        saved: Object.keys(saved).length,
+        failed,
+      });
+    } catch (err) {
+      setError(`Replace failed: ${err.message}`);
+    } finally {
+      setIsRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const itemNames = Object.fromEntries(
+    (results?.changes || []).map(c => [c.itemId, c.itemName])
+  );
+  const failedEntries = Object.entries(results?.failed || {});
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-pm-error/10 border border-pm-error/30 flex items-center gap-3 text-pm-error text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+          <button onClick={() => setError(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <input
+          type="text"
+          value={find}
+          onChange={(e) => { setFind(e.target.value); setResults(null); }}
+          placeholder={isRegex ? 'Find (regular expression)' : 'Find'}
+          className="text-sm py-1.5 font-mono"
+        />
+        <input
+          type="text"
+          value={replacement}
+          onChange={(e) => { setReplacement(e.target.value); setResults(null); }}
+          placeholder={isRegex ? 'Replace with ($1 for groups)' : 'Replace with'}
+          className="text-sm py-1.5 font-mono"
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-xs text-pm-text-muted uppercase tracking-wider mr-1">Fields</span>
+        {searchableFields.map(field => (
+          <button
+            key={field.id}
+            onClick={() => { toggleField(field.slug); setResults(null); }}
+            className={`badge ${scope.includes(field.slug) ? 'badge-info' : 'border border-pm-border text-pm-text-muted'}`}
+          >
+            {field.displayName || field.slug}
+          </button>
+        ))}
+        {searchableFields.length === 0 && (
+          <span className="text-xs text-pm-text-muted/60">No plain text, rich text or link fields</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-4">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={isRegex} onChange={(e) => { setIsRegex(e.target.checked); setResults(null); }} className="accent-pm-accent" />
+          <span className="text-sm text-pm-text-muted">Regex</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={caseSensitive} onChange={(e) => { setCaseSensitive(e.target.checked); setResults(null); }} className="accent-pm-accent" />
+          <span className="text-sm text-pm-text-muted">Match case</span>
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={isDryRun} onChange={(e) => setIsDryRun(e.target.checked)} className="accent-pm-accent" />
+          <span className="text-sm text-pm-text-muted">Dry run (preview only)</span>
+        </label>
+        <button
+          onClick={() => run()}
+          disabled={isRunning || !find || scope.length === 0}
+          className="btn btn-primary text-xs ml-auto"
+        >
+          {isRunning ? (
+            <>
+              <Loader2 className="w-3 h-3 animate-spin" />
+              {progress ? progress.message : 'Replacing...'}
+            </>
+          ) : (
+            <>
+              {isDryRun ? <Eye className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+              {isDryRun ? 'Preview Matches' : 'Replace All'}
+            </>
+          )}
+        </button>
+      </div>
+
+      {results && (
+        <div className="mt-4">
+          {results.mode === 'live' && (
+            <div className={`mb-3 p-3 text-sm border flex items-center gap-2 ${failedEntries.length > 0 ? 'bg-pm-warning/10 border-pm-warning/30 text-pm-text' : 'bg-pm-success/10 border-pm-success/30 text-pm-success'}`}>
+              {failedEntries.length > 0 ? <AlertCircle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+              Updated {results.saved} of {results.itemCount} items{failedEntries.length > 0 && `; ${failedEntries.length} failed`}.
+            </div>
+          )}
+
+          {failedEntries.length > 0 && (
+            <div className="mb-3 bg-pm-error/10 border border-pm-error/30 p-3 max-h-32 overflow-auto">
+              {failedEntries.map(([id, message]) => (
+                <div key={id} className="text-sm text-pm-error mb-1">{itemNames[id] || id}: {message}</div>
+              ))}
+            </div>
+          )}
+
+          <h4 className="text-xs uppercase tracking-widest text-pm-accent mb-2">
+            <Search className="w-3 h-3 inline mr-1" />
+            {results.changes.reduce((sum, c) => sum + c.matches.length, 0)} matches in {results.itemCount} items
+          </h4>
+          {results.changes.length > 0 && (
+            <div className="bg-pm-dark border border-pm-border p-4 max-h-80 overflow-auto space-y-3">
+              {results.changes.map(change => (
+                <div key={`${change.itemId}:${change.field}`}>
+                  <p className="text-sm text-pm-text">
+                    {change.itemName} <span className="text-pm-text-muted text-xs">• {change.fieldName}</span>
+                  </p>
+                  {change.error && <p className="text-xs text-pm-error">Skipped: {change.error}</p>}
+                  {change.matches.map((match, i) => (
+                    <p key={i} className="text-xs text-pm-text-muted font-mono break-all">
+                      …{match.before}
+                      <span className="bg-pm-error/20 text-pm-error line-through">{match.text}</span>
+                      <span className="bg-pm-success/20 text-pm-success">{match.replacement}</span>
+                      {match.after}…
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {results.mode === 'dry-run' && results.itemCount > 0 && (
+            <div className="flex justify-end mt-3">
+              <button
+                onClick={() => { setIsDryRun(false); run(false); }}
+                disabled={isRunning}
+                className="btn btn-primary text-xs"
+              >
+                <Play className="w-3 h-3" />
+                Apply Live ({results.itemCount} items)
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FindReplace;
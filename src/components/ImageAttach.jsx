@@ -0,0 +1,240 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link2, Wand2, Loader2, CheckCircle2, AlertCircle, X } from 'lucide-react';
+import { IMAGE_FIELD_TYPES, matchImagesToItems, attachImages } from '../utils/imageBinding';
+import { mergeSavedItems } from '../utils/itemUpdates';
+
+/**
+ * Bind processed images to a collection's items (picked by hand or matched
+ * by file name to item slugs) and write them into an Image or MultiImage field
+ */
+function ImageAttach({ client, collections, images, uploadImages, isUploading }) {
+  const [collectionId, setCollectionId] = useState('');
+  const [fields, setFields] = useState([]);
+  const [items, setItems] = useState([]);
+  const [fieldSlug, setFieldSlug] = useState('');
+  const [bindings, setBindings] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isAttaching, setIsAttaching] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const imageFields = fields.filter(f => IMAGE_FIELD_TYPES.includes(f.type));
+  const field = imageFields.find(f => f.slug === fieldSlug);
+  const sortedItems = useMemo(
+    () => [...items].sort((a, b) => String(a.fieldData?.name).localeCompare(String(b.fieldData?.name))),
+    [items]
+  );
+  const bound = images.filter(image => bindings[image.id]?.itemId);
+  // An Image field holds one image, so each item can only be bound once
+  const boundCounts = bound.reduce((counts, image) => {
+    const { itemId } = bindings[image.id];
+    return { ...counts, [itemId]: (counts[itemId] || 0) + 1 };
+  }, {});
+  const isDuplicate = (image) => field?.type === 'Image' && boundCounts[bindings[image.id]?.itemId] > 1;
+  const duplicates = bound.filter(isDuplicate);
+
+  useEffect(() => {
+    setFields([]);
+    setItems([]);
+    setFieldSlug('');
+    setBindings({});
+    setResult(null);
+    if (!collectionId) return;
+
+    setIsLoading(true);
+    Promise.all([client.getCollection(collectionId), client.getAllItems(collectionId)])
+      .then(([details, itemsData]) => {
+        const detailFields = details.fields || [];
+        setFields(detailFields);
+        setItems(itemsData);
+        setFieldSlug(detailFields.find(f => IMAGE_FIELD_TYPES.includes(f.type))?.slug || '');
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [client, collectionId]);
+
+  const itemName = (itemId) => items.find(item => item.id === itemId)?.fieldData?.name || '';
+
+  const setBinding = (imageId, changes) => {
+    setBindings(prev => {
+      const current = prev[imageId] || { itemId: '', alt: '' };
+      const next = { ...current, ...changes };
+      // Default the alt text to the item's name until it's been typed
+      if ('itemId' in changes && !current.altEdited) next.alt = itemName(changes.itemId);
+      return { ...prev, [imageId]: next };
+    });
+  };
+
+  // Bind every unbound image whose file name matches an item slug
+  const matchByFilename = () => {
+    const matches = matchImagesToItems(images.filter(image => !bindings[image.id]?.itemId), items);
+    Object.entries(matches).forEach(([imageId, itemId]) => setBinding(imageId, { itemId }));
+    if (Object.keys(matches).length === 0) setError('No file names matched an item slug');
+  };
+
+  const attach = async () => {
+    if (!field || bound.length === 0 || duplicates.length > 0) return;
+
+    setIsAttaching(true);
+    setError(null);
+    setResult(null);
+    try {
+      const assets = await uploadImages();
+      const notUploaded = bound.filter(image => !assets[image.id]);
+      const toAttach = bound
+        .filter(image => assets[image.id])
+        .map(image => ({ imageId: image.id, itemId: bindings[image.id].itemId, asset: assets[image.id], alt: bindings[image.id].alt.trim() }));
+
+      const { saved, failed } = await attachImages(client, collectionId, field, toAttach, items, setProgress);
+      notUploaded.forEach(image => { failed[image.id] = 'Upload to Webflow Assets failed'; });
+      setItems(prev => mergeSavedItems(prev, saved));
+      setResult({ attached: toAttach.length - toAttach.filter(b => failed[b.imageId]).length, failed });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsAttaching(false);
+      setProgress(null);
+    }
+  };
+
+  const failedCount = result ? Object.keys(result.failed).length : 0;
+
+  return (
+    <div className="card mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xs uppercase tracking-widest text-pm-accent">
+          <Link2 className="w-4 h-4 inline mr-2" />
+          Attach to CMS Items
+        </h3>
+        <div className="flex gap-2">
+          <select value={collectionId} onChange={(e) => setCollectionId(e.target.value)} className="text-sm py-1">
+            <option value="">Choose a collection...</option>
+            {collections.map(c => (
+              <option key={c.id} value={c.id}>{c.displayName || c.name}</option>
+            ))}
+          </select>
+          {collectionId && (
+            <select value={fieldSlug} onChange={(e) => setFieldSlug(e.target.value)} className="text-sm py-1" disabled={!imageFields.length}>
+              {imageFields.length === 0 && <option value="">No image fields</option>}
+              {imageFields.map(f => (
+                <option key={f.slug} value={f.slug}>{f.displayName} ({f.type === 'MultiImage' ? 'appends' : 'replaces'})</option>
+              ))}
+            </select>
+          )}
+          <button onClick={matchByFilename} disabled={!items.length} className="btn btn-secondary text-xs" title="Match file names to item slugs">
+            <Wand2 className="w-3 h-3" />
+            Match by Filename
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-pm-error/10 border border-pm-error/30 flex items-center gap-3 text-pm-error text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+          <button onClick={() => setError(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-pm-accent" />
+        </div>
+      ) : collectionId ? (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Image</th>
+                <th>Item</th>
+                <th>Alt Text</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {images.map(image => {
+                const binding = bindings[image.id] || { itemId: '', alt: '' };
+                return (
+                  <tr key={image.id}>
+                    <td>
+                      <div className="flex items-center gap-3">
+                        <img src={image.url} alt={image.filename} className="w-10 h-10 object-cover" />
+                        <span className="text-sm text-pm-text truncate">{image.filename}</span>
+                      </div>
+                    </td>
+                    <td>
+                      <select
+                        value={binding.itemId}
+                        onChange={(e) => setBinding(image.id, { itemId: e.target.value })}
+                        className="w-full text-sm py-1"
+                      >
+                        <option value="">Not attached</option>
+                        {sortedItems.map(item => (
+                          <option key={item.id} value={item.id}>{item.fieldData?.name || item.fieldData?.slug}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={binding.alt}
+                        onChange={(e) => setBinding(image.id, { alt: e.target.value, altEdited: true })}
+                        placeholder="Alt text"
+                        className="w-full text-sm py-1"
+                        disabled={!binding.itemId}
+                      />
+                    </td>
+                    <td className="text-xs">
+                      {isDuplicate(image) ? (
+                        <span className="text-pm-error">Same item as another image</span>
+                      ) : result?.failed[image.id] ? (
+                        <span className="text-pm-error" title={result.failed[image.id]}>Failed</span>
+                      ) : image.asset ? (
+                        <span className="text-pm-text-muted">Uploaded</span>
+                      ) : null}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex items-center gap-3 mt-4">
+            <button
+              onClick={attach}
+              disabled={!field || bound.length === 0 || duplicates.length > 0 || isAttaching || isUploading}
+              className="btn btn-primary"
+            >
+              {isAttaching ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />}
+              Attach {bound.length} Image{bound.length === 1 ? '' : 's'}
+            </button>
+            <span className="text-xs text-pm-text-muted">
+              {progress
+                ? progress.message
+                : duplicates.length > 0
+                  ? `${field.displayName} holds one image per item; bind each item to only one image`
+                  : 'Images not yet on Webflow are uploaded first. Published items are updated live.'}
+            </span>
+          </div>
+
+          {result && (
+            <div className={`mt-4 p-3 text-sm border flex items-center gap-2 ${failedCount > 0 ? 'bg-pm-warning/10 border-pm-warning/30 text-pm-text' : 'bg-pm-success/10 border-pm-success/30 text-pm-success'}`}>
+              {failedCount > 0 ? <AlertCircle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+              {result.attached} images attached to {field?.displayName}
+              {failedCount > 0 && `, ${failedCount} failed: ${[...new Set(Object.values(result.failed))].join('; ')}`}
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-pm-text-muted/60 text-sm text-center py-4">
+          Choose a collection to bind images to its items
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ImageAttach;
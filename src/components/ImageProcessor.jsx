@@ -1,21 +1,32 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import Cropper from 'react-cropper';
 import 'cropperjs/dist/cropper.css';
 import { 
   Upload, Image as ImageIcon, Download, Trash2, RefreshCw,
   ZoomIn, ZoomOut, RotateCw, FlipHorizontal, FlipVertical,
-  Check, X, Loader2, Settings, Copy
+  Check, X, Loader2, Settings, Copy, UploadCloud, FolderPlus
 } from 'lucide-react';
 import { 
   IMAGE_PRESETS, 
   QUALITY_PRESETS, 
-  processCroppedImage, 
+  centeredCrop,
+  renderCrop,
   generateFilename,
   formatFileSize,
   getImageDimensions 
 } from '../utils/imageProcessing';
+import { uploadAssets } from '../utils/assetUpload';
+import { MANIFEST_FORMATS, buildImageZip } from '../utils/imageArchive';
+import ImageAttach from './ImageAttach';
 
-function ImageProcessor() {
+// An image's stored crop when it was set for this aspect ratio, otherwise an
+// auto-centered one
+function cropFor(image, aspectRatio) {
+  if (image.crop && Math.abs(image.crop.aspectRatio - aspectRatio) < 0.001) return image.crop;
+  return centeredCrop(image.width, image.height, aspectRatio);
+}
+
+function ImageProcessor({ client, site, collections = [], isConnected }) {
   const [images, setImages] = useState([]);
   const [selectedImage, setSelectedImage] = useState(null);
   const [preset, setPreset] = useState('main-photo');
@@ -27,7 +38,32 @@ function ImageProcessor() {
   const [processedImages, setProcessedImages] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [dragActive, setDragActive] = useState(false);
+  const [assetFolders, setAssetFolders] = useState([]);
+  const [assetFolder, setAssetFolder] = useState('');
+  const [newFolderName, setNewFolderName] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [zipByPreset, setZipByPreset] = useState(false);
+  const [zipManifest, setZipManifest] = useState('csv');
+  const [isZipping, setIsZipping] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
   const cropperRef = useRef(null);
+  // The Cropper's event handlers are bound once, so they read these refs
+  // (assigned during render) instead of state
+  const imagesRef = useRef(images);
+  const selectedIdRef = useRef(null);
+  const aspectRef = useRef(null);
+  const cropReadyForRef = useRef(null);
+
+  // Load the selected site's asset folders for the upload destination
+  useEffect(() => {
+    setAssetFolders([]);
+    setAssetFolder('');
+    if (!client || !site) return;
+    client.getAssetFolders(site.id)
+      .then(setAssetFolders)
+      .catch(err => setUploadError(`Couldn't load asset folders: ${err.message}`));
+  }, [client, site]);
 
   // Get current dimensions based on preset
   const getDimensions = () => {
@@ -37,6 +73,43 @@ function ImageProcessor() {
     return IMAGE_PRESETS[preset];
   };
 
+  const aspectRatio = getDimensions().width / getDimensions().height;
+  imagesRef.current = images;
+  selectedIdRef.current = selectedImage?.id || null;
+  aspectRef.current = aspectRatio;
+
+  // Remember the crop (in source image pixels) for an image
+  const saveCrop = (id, data) => {
+    setImages(prev => prev.map(img => (
+      img.id === id ? { ...img, crop: { ...data, aspectRatio: aspectRef.current } } : img
+    )));
+  };
+
+  // Show the selected image's stored (or auto-centered) crop in the cropper
+  const applyStoredCrop = () => {
+    const cropper = cropperRef.current?.cropper;
+    const image = imagesRef.current.find(img => img.id === selectedIdRef.current);
+    if (!cropper || !image) return;
+    cropReadyForRef.current = null;
+    cropper.setAspectRatio(aspectRef.current);
+    cropper.setData(cropFor(image, aspectRef.current));
+    cropReadyForRef.current = image.id;
+    saveCrop(image.id, cropper.getData(true));
+  };
+
+  // Every change made in the cropper is stored on the image it belongs to.
+  // Events fired while an image is being swapped in are ignored.
+  const handleCrop = () => {
+    const cropper = cropperRef.current?.cropper;
+    if (!cropper || cropReadyForRef.current !== selectedIdRef.current) return;
+    saveCrop(selectedIdRef.current, cropper.getData(true));
+  };
+
+  // Re-fit the visible crop when the preset's aspect ratio changes
+  useEffect(() => {
+    if (cropReadyForRef.current && cropReadyForRef.current === selectedIdRef.current) applyStoredCrop();
+  }, [aspectRatio]);
+
   // Handle file drop
   const handleDrop = useCallback((e) => {
     e.preventDefault();
@@ -85,32 +158,43 @@ function ImageProcessor() {
     }
   };
 
-  // Process single image
+  // Render one image from its crop data on an off-screen canvas, so the
+  // result only depends on the stored crop and the current settings
+  const renderImage = async (image, crop) => {
+    const { width, height } = getDimensions();
+    const result = await renderCrop(image.file, crop, {
+      width,
+      height,
+      quality: QUALITY_PRESETS[quality].quality,
+      format: outputFormat,
+    });
+
+    const filename = generateFilename(filenamePattern, image.name, {
+      format: outputFormat,
+      width,
+      height,
+    });
+
+    return {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      filename,
+      ...result,
+      originalName: image.name,
+      preset,
+    };
+  };
+
+  // Process single image with the crop shown in the cropper
   const processImage = async () => {
-    if (!cropperRef.current || !selectedImage) return;
+    const cropper = cropperRef.current?.cropper;
+    if (!cropper || !selectedImage) return;
 
     setIsProcessing(true);
     try {
-      const { width, height } = getDimensions();
-      const result = await processCroppedImage(cropperRef.current.cropper, {
-        width,
-        height,
-        quality: QUALITY_PRESETS[quality].quality,
-        format: outputFormat,
-      });
-
-      const filename = generateFilename(filenamePattern, selectedImage.name, {
-        format: outputFormat,
-        width,
-        height,
-      });
-
-      setProcessedImages(prev => [...prev, {
-        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        filename,
-        ...result,
-        originalName: selectedImage.name,
-      }]);
+      const crop = cropper.getData(true);
+      saveCrop(selectedImage.id, crop);
+      const processed = await renderImage(selectedImage, crop);
+      setProcessedImages(prev => [...prev, processed]);
     } catch (err) {
       console.error('Failed to process image:', err);
     } finally {
@@ -118,14 +202,17 @@ function ImageProcessor() {
     }
   };
 
-  // Process all images with current settings
+  // Process all images with current settings, each with its own stored crop
+  // (or an auto-centered one if it was never cropped for this aspect ratio)
   const processAllImages = async () => {
     setIsProcessing(true);
     for (const image of images) {
-      setSelectedImage(image);
-      // Wait for cropper to update
-      await new Promise(resolve => setTimeout(resolve, 100));
-      await processImage();
+      try {
+        const processed = await renderImage(image, cropFor(image, aspectRatio));
+        setProcessedImages(prev => [...prev, processed]);
+      } catch (err) {
+        console.error(`Failed to process ${image.name}:`, err);
+      }
     }
     setIsProcessing(false);
   };
@@ -138,11 +225,73 @@ function ImageProcessor() {
     a.click();
   };
 
-  // Download all processed images
-  const downloadAll = () => {
-    processedImages.forEach(downloadImage);
+  // Download all processed images as one ZIP, optionally with a folder per
+  // preset and a manifest
+  const downloadAll = async () => {
+    setIsZipping(true);
+    try {
+      const blob = await buildImageZip(processedImages, { byPreset: zipByPreset, manifest: zipManifest });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `processed-images-${new Date().toISOString().split('T')[0]}.zip`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to build ZIP:', err);
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  // Create an asset folder at the site root and select it
+  const createFolder = async () => {
+    if (!newFolderName?.trim()) return;
+    try {
+      const folder = await client.createAssetFolder(site.id, newFolderName.trim());
+      setAssetFolders(prev => [...prev, folder]);
+      setAssetFolder(folder.id);
+      setNewFolderName(null);
+    } catch (err) {
+      setUploadError(`Couldn't create folder: ${err.message}`);
+    }
+  };
+
+  // Upload processed images that aren't on Webflow yet; each keeps its hosted URL.
+  // Resolves to the assets of every uploaded image, keyed by processed image id.
+  const sendToAssets = async () => {
+    const assets = Object.fromEntries(processedImages.filter(img => img.asset).map(img => [img.id, img.asset]));
+    const pending = processedImages.filter(img => !img.asset);
+    if (!pending.length) return assets;
+
+    setIsUploading(true);
+    setUploadError(null);
+    try {
+      const { uploaded, failed } = await uploadAssets(
+        client, site.id, pending, { parentFolder: assetFolder || null }, setUploadProgress
+      );
+      setProcessedImages(prev => prev.map(img => (
+        uploaded[img.id] ? { ...img, asset: uploaded[img.id], uploadError: null }
+          : failed[img.id] ? { ...img, uploadError: failed[img.id] }
+          : img
+      )));
+      Object.assign(assets, uploaded);
+      const failedCount = Object.keys(failed).length;
+      if (failedCount) setUploadError(`${failedCount} of ${pending.length} uploads failed`);
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setIsUploading(false);
+      setUploadProgress(null);
+    }
+    return assets;
   };
 
+  const copyUrls = (urls) => navigator.clipboard.writeText(urls.join('\n'));
+
+  const uploadedUrls = processedImages.filter(img => img.asset).map(img => img.asset.url);
+  const pendingUploads = processedImages.filter(img => !img.asset).length;
+
   // Clear processed images
   const clearProcessed = () => {
     processedImages.forEach(img => URL.revokeObjectURL(img.url));
@@ -215,6 +364,9 @@ function ImageProcessor() {
                     <p className="text-xs text-pm-text-muted">
                       {image.width}×{image.height} • {formatFileSize(image.size)}
                     </p>
+                    <p className="text-xs text-pm-text-muted/60">
+                      {image.crop && Math.abs(image.crop.aspectRatio - aspectRatio) < 0.001 ? 'Crop set' : 'Auto-centered crop'}
+                    </p>
                   </div>
                   <button 
                     onClick={(e) => { e.stopPropagation(); removeImage(image.id); }}
@@ -266,12 +418,15 @@ function ImageProcessor() {
                     ref={cropperRef}
                     src={selectedImage.url}
                     style={{ height: '100%', width: '100%' }}
-                    aspectRatio={getDimensions().width / getDimensions().height}
+                    aspectRatio={aspectRatio}
                     guides={true}
                     viewMode={1}
                     dragMode="move"
                     autoCropArea={0.9}
                     background={false}
+                    checkOrientation={false}
+                    ready={applyStoredCrop}
+                    crop={handleCrop}
                   />
                 </div>
 
@@ -418,8 +573,8 @@ function ImageProcessor() {
               </h3>
               {processedImages.length > 0 && (
                 <div className="flex gap-1">
-                  <button onClick={downloadAll} className="btn btn-ghost p-1" title="Download All">
-                    <Download className="w-4 h-4" />
+                  <button onClick={downloadAll} disabled={isZipping} className="btn btn-ghost p-1" title="Download All (ZIP)">
+                    {isZipping ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
                   </button>
                   <button onClick={clearProcessed} className="btn btn-ghost p-1" title="Clear All">
                     <Trash2 className="w-4 h-4" />
@@ -428,6 +583,20 @@ function ImageProcessor() {
               )}
             </div>
 
+            {processedImages.length > 0 && (
+              <div className="mb-4 flex items-center gap-3">
+                <label className="flex items-center gap-2 text-xs text-pm-text-muted cursor-pointer">
+                  <input type="checkbox" checked={zipByPreset} onChange={(e) => setZipByPreset(e.target.checked)} />
+                  Folder per preset
+                </label>
+                <select value={zipManifest} onChange={(e) => setZipManifest(e.target.value)} className="flex-1 text-xs py-1">
+                  {Object.entries(MANIFEST_FORMATS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="space-y-2 max-h-64 overflow-auto">
               {processedImages.map(processed => (
                 <div 
@@ -444,7 +613,19 @@ function ImageProcessor() {
                     <p className="text-xs text-pm-text-muted">
                       {processed.width}×{processed.height} • {formatFileSize(processed.size)}
                     </p>
+                    {processed.uploadError && (
+                      <p className="text-xs text-pm-error truncate" title={processed.uploadError}>{processed.uploadError}</p>
+                    )}
                   </div>
+                  {processed.asset && (
+                    <button
+                      onClick={() => copyUrls([processed.asset.url])}
+                      className="p-1 text-pm-success hover:bg-pm-success/10"
+                      title={`On Webflow: ${processed.asset.url} (click to copy)`}
+                    >
+                      <Copy className="w-4 h-4" />
+                    </button>
+                  )}
                   <button 
                     onClick={() => downloadImage(processed)}
                     className="p-1 text-pm-accent hover:bg-pm-accent/10"
@@ -459,9 +640,86 @@ function ImageProcessor() {
                 </p>
               )}
             </div>
+
+            {/* Send to Webflow Assets */}
+            {processedImages.length > 0 && (
+              <div className="mt-4 pt-4 border-t border-pm-border space-y-2">
+                {isConnected && site ? (
+                  <>
+                    <label className="text-xs text-pm-text-muted uppercase tracking-wider block">
+                      Asset Folder
+                    </label>
+                    <div className="flex gap-1">
+                      <select
+                        value={assetFolder}
+                        onChange={(e) => setAssetFolder(e.target.value)}
+                        className="flex-1 text-sm"
+                        disabled={isUploading}
+                      >
+                        <option value="">Site root</option>
+                        {assetFolders.map(folder => (
+                          <option key={folder.id} value={folder.id}>{folder.displayName}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => setNewFolderName(newFolderName === null ? '' : null)}
+                        className="btn btn-ghost p-2"
+                        title="New folder"
+                      >
+                        <FolderPlus className="w-4 h-4" />
+                      </button>
+                    </div>
+                    {newFolderName !== null && (
+                      <div className="flex gap-1">
+                        <input
+                          type="text"
+                          value={newFolderName}
+                          onChange={(e) => setNewFolderName(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && createFolder()}
+                          placeholder="Folder name"
+                          className="flex-1 text-sm"
+                          autoFocus
+                        />
+                        <button onClick={createFolder} className="btn btn-ghost p-2" title="Create folder">
+                          <Check className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                    <button
+                      onClick={sendToAssets}
+                      disabled={isUploading || pendingUploads === 0}
+                      className="btn btn-primary w-full text-xs"
+                    >
+                      {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <UploadCloud className="w-4 h-4" />}
+                      Send to Webflow Assets{pendingUploads > 0 ? ` (${pendingUploads})` : ''}
+                    </button>
+                    {uploadedUrls.length > 0 && (
+                      <button onClick={() => copyUrls(uploadedUrls)} className="btn btn-secondary w-full text-xs">
+                        <Copy className="w-4 h-4" />
+                        Copy {uploadedUrls.length} Hosted URLs
+                      </button>
+                    )}
+                    {uploadProgress && <p className="text-xs text-pm-text-muted">{uploadProgress.message}</p>}
+                    {uploadError && <p className="text-xs text-pm-error">{uploadError}</p>}
+                  </>
+                ) : (
+                  <p className="text-xs text-pm-text-muted/60">Connect to Webflow to send images to a site's assets</p>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
+
+      {isConnected && site && processedImages.length > 0 && (
+        <ImageAttach
+          client={client}
+          collections={collections}
+          images={processedImages}
+          uploadImages={sendToAssets}
+          isUploading={isUploading}
+        />
+      )}
     </div>
   );
 }
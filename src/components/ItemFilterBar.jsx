@@ -0,0 +1,89 @@
+import { Search, X } from 'lucide-react';
+import { STATUS_FILTERS, FIELD_OPERATORS, EMPTY_FILTERS } from '../utils/itemFilters';
+
+/**
+ * Search box, status, field value and last-updated filters for the item list
+ */
+function ItemFilterBar({ fields, filters, onChange, shown, total }) {
+  const set = (key, value) => onChange({ ...filters, [key]: value });
+  const isFiltered = Object.entries(EMPTY_FILTERS).some(([key, value]) => filters[key] !== value);
+  const operator = FIELD_OPERATORS[filters.operator];
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-pm-text-muted absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => set('search', e.target.value)}
+            placeholder="Search all fields..."
+            className="w-full text-sm py-1.5 pl-9"
+          />
+        </div>
+        <select value={filters.status} onChange={(e) => set('status', e.target.value)} className="text-sm py-1.5">
+          {Object.entries(STATUS_FILTERS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={filters.field} onChange={(e) => set('field', e.target.value)} className="text-sm py-1">
+          <option value="">Any field...</option>
+          {fields.map(f => (
+            <option key={f.id} value={f.slug}>{f.displayName || f.slug}</option>
+          ))}
+        </select>
+        {filters.field && (
+          <>
+            <select value={filters.operator} onChange={(e) => set('operator', e.target.value)} className="text-sm py-1">
+              {Object.entries(FIELD_OPERATORS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            {!operator?.noValue && (
+              <input
+                type="text"
+                value={filters.value}
+                onChange={(e) => set('value', e.target.value)}
+                placeholder="Value"
+                className="text-sm py-1 w-40"
+              />
+            )}
+          </>
+        )}
+
+        <label className="flex items-center gap-2 text-xs text-pm-text-muted uppercase tracking-wider ml-auto">
+          Updated
+          <input
+            type="date"
+            value={filters.updatedFrom}
+            onChange={(e) => set('updatedFrom', e.target.value)}
+            className="bg-pm-dark border border-pm-border text-pm-text text-sm px-2 py-1 focus:outline-none focus:border-pm-accent"
+          />
+          to
+          <input
+            type="date"
+            value={filters.updatedTo}
+            onChange={(e) => set('updatedTo', e.target.value)}
+            className="bg-pm-dark border border-pm-border text-pm-text text-sm px-2 py-1 focus:outline-none focus:border-pm-accent"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center gap-3 text-xs text-pm-text-muted">
+        <span>Showing {shown} of {total} items</span>
+        {isFiltered && (
+          <button onClick={() => onChange(EMPTY_FILTERS)} className="flex items-center gap-1 hover:text-pm-accent">
+            <X className="w-3 h-3" />
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ItemFilterBar;
@@ -0,0 +1,387 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Save, X, Loader2, ChevronLeft, ChevronRight, AlertCircle, CheckCircle2, ArrowUp, ArrowDown } from 'lucide-react';
+import { coerceValue, splitList, CoercionError } from '../utils/fieldCoercion';
+import { valuesEqual } from '../utils/importPlan';
+import { REFERENCE_TYPES, getReferenceTargets, buildReferenceLookup, resolveReference } from '../utils/referenceResolver';
+import { saveItemUpdates } from '../utils/itemUpdates';
+import { STATUS_FILTERS, itemStatus } from '../utils/itemFilters';
+
+const PAGE_SIZE = 50;
+
+const STATUS_BADGES = {
+  published: 'badge-success',
+  staged: 'badge-info',
+  draft: 'badge-warning',
+  archived: 'badge-error',
+};
+
+// Render a stored value as the editor's value (a string, or a boolean for switches)
+function toEditorValue(field, value, refItems) {
+  if (field.type === 'Switch') return !!value;
+  if (value === undefined || value === null) return '';
+
+  switch (field.type) {
+    case 'DateTime': {
+      const date = new Date(value);
+      if (isNaN(date)) return String(value);
+      // datetime-local wants local time without a zone
+      return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+    case 'Image':
+    case 'File':
+      return value.url || '';
+    case 'MultiImage':
+      return (value || []).map(image => image.url).join('; ');
+    case 'MultiReference': {
+      const items = refItems[field.validations?.collectionId] || [];
+      return value.map(id => items.find(item => item.id === id)?.fieldData?.slug || id).join(', ');
+    }
+    default:
+      return String(value);
+  }
+}
+
+// Convert an editor value back to what Webflow stores. Empty values clear the field.
+function fromEditorValue(field, editorValue, lookups) {
+  if (field.type === 'Switch') return editorValue;
+  if (editorValue === '') return ['PlainText', 'RichText'].includes(field.type) ? '' : null;
+
+  if (field.type === 'DateTime') {
+    const date = new Date(editorValue);
+    if (isNaN(date)) throw new CoercionError(field, editorValue, `"${editorValue}" is not a valid date`);
+    return date.toISOString();
+  }
+
+  if (REFERENCE_TYPES.includes(field.type)) {
+    const lookup = lookups[field.validations?.collectionId];
+    if (!lookup) return field.type === 'MultiReference' ? splitList(editorValue) : editorValue;
+    const ids = splitList(editorValue).map(value => {
+      const id = resolveReference(lookup, value);
+      if (!id) throw new CoercionError(field, value, `no item matching "${value}"`);
+      return id;
+    });
+    return field.type === 'MultiReference' ? ids : ids[0];
+  }
+
+  // Number inputs always use a dot as the decimal separator
+  return coerceValue(field, editorValue, { locale: 'en-US' });
+}
+
+/**
+ * Spreadsheet-style editor for a collection's items (already filtered and
+ * sorted by the caller). Edited cells are tracked per item and saved together
+ * in bulk; onItemsSaved receives the saved items by ID. `selected` is a Set of
+ * item IDs picked with the row checkboxes.
+ */
+function ItemGrid({ client, collection, fields, items, sort, onSortChange, onItemsSaved, selected, onSelectionChange }) {
+  const [edits, setEdits] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+  const [refItems, setRefItems] = useState({});
+  const [page, setPage] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [saveResult, setSaveResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Pending edits belong to one collection; field reloads (e.g. after a field
+  // is edited) keep them
+  useEffect(() => {
+    setEdits({});
+    setRowErrors({});
+    setSaveResult(null);
+    setPage(0);
+  }, [collection.id]);
+
+  // Load referenced collections so reference cells can show and accept slugs
+  const referenceTargets = getReferenceTargets(fields).join(',');
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      const loaded = {};
+      try {
+        for (const collectionId of referenceTargets.split(',').filter(Boolean)) {
+          loaded[collectionId] = await client.getAllItems(collectionId);
+        }
+      } catch (err) {
+        setError(`Failed to load referenced items: ${err.message}`);
+      }
+      if (!cancelled) setRefItems(loaded);
+    })();
+
+    return () => { cancelled = true; };
+  }, [client, referenceTargets]);
+
+  const lookups = useMemo(() => Object.fromEntries(
+    Object.entries(refItems).map(([collectionId, list]) => [collectionId, buildReferenceLookup(list)])
+  ), [refItems]);
+
+  // Parse an edited cell: { value, error, isDirty }
+  const parseCell = (item, field, editorValue) => {
+    try {
+      const value = fromEditorValue(field, editorValue, lookups);
+      const original = item.fieldData?.[field.slug];
+      return { value, error: null, isDirty: !valuesEqual(field.type === 'Switch' ? !!original : original, value) };
+    } catch (err) {
+      if (!(err instanceof CoercionError)) throw err;
+      return { value: undefined, error: err.message, isDirty: true };
+    }
+  };
+
+  const setCell = (itemId, slug, value) => {
+    setEdits(prev => ({ ...prev, [itemId]: { ...prev[itemId], [slug]: value } }));
+  };
+
+  // Dirty cells grouped by item, with any values that don't parse
+  const itemsById = Object.fromEntries(items.map(item => [item.id, item]));
+  const fieldsBySlug = Object.fromEntries(fields.map(f => [f.slug, f]));
+  const pending = Object.entries(edits)
+    .map(([itemId, cells]) => {
+      const item = itemsById[itemId];
+      const parsed = Object.entries(cells)
+        .filter(([slug]) => fieldsBySlug[slug])
+        .map(([slug, editorValue]) => ({ slug, ...parseCell(item, fieldsBySlug[slug], editorValue) }))
+        .filter(cell => cell.isDirty);
+      return { item, cells: parsed };
+    })
+    .filter(entry => entry.item && entry.cells.length > 0);
+  const dirtyCount = pending.reduce((sum, entry) => sum + entry.cells.length, 0);
+  const invalidCount = pending.reduce((sum, entry) => sum + entry.cells.filter(c => c.error).length, 0);
+
+  const save = async () => {
+    if (pending.length === 0 || invalidCount > 0) return;
+
+    setIsSaving(true);
+    setError(null);
+    setSaveResult(null);
+
+    try {
+      const entries = pending.map(({ item, cells }) => ({
+        id: item.id,
+        fieldData: Object.fromEntries(cells.map(c => [c.slug, c.value])),
+      }));
+      // Published items are written live; drafts and never-published items stay staged
+      const { saved, failed } = await saveItemUpdates(client, collection.id, entries, items, setProgress);
+
+      onItemsSaved(saved);
+      setEdits(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !saved[id])));
+      setRowErrors(failed);
+      setSaveResult({ saved: Object.keys(saved).length, failed: Object.keys(failed).length });
+    } catch (err) {
+      setError(`Save failed: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+      setProgress(null);
+    }
+  };
+
+  const discard = () => {
+    setEdits({});
+    setRowErrors({});
+    setSaveResult(null);
+  };
+
+  const renderEditor = (item, field) => {
+    const edited = edits[item.id]?.[field.slug];
+    const value = edited !== undefined ? edited : toEditorValue(field, item.fieldData?.[field.slug], refItems);
+    const onChange = (next) => setCell(item.id, field.slug, next);
+    const inputClass = 'w-48 text-xs px-2 py-1';
+
+    switch (field.type) {
+      case 'Switch':
+        return (
+          <input
+            type="checkbox"
+            checked={value}
+            onChange={(e) => onChange(e.target.checked)}
+            className="accent-pm-accent"
+          />
+        );
+      case 'Option':
+        return (
+          <select value={value} onChange={(e) => onChange(e.target.value)} className="w-40 text-xs px-2 py-1">
+            <option value="">—</option>
+            {(field.validations?.options || []).map(o => (
+              <option key={o.id} value={o.id}>{o.name}</option>
+            ))}
+          </select>
+        );
+      case 'Reference': {
+        const targets = refItems[field.validations?.collectionId];
+        if (!targets) break;
+        return (
+          <select value={value} onChange={(e) => onChange(e.target.value)} className="w-40 text-xs px-2 py-1">
+            <option value="">—</option>
+            {targets.map(target => (
+              <option key={target.id} value={target.id}>{target.fieldData?.name || target.fieldData?.slug || target.id}</option>
+            ))}
+          </select>
+        );
+      }
+      case 'DateTime':
+        return (
+          <input
+            type="datetime-local"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="bg-pm-dark border border-pm-border text-pm-text text-xs px-2 py-1 focus:outline-none focus:border-pm-accent"
+          />
+        );
+      case 'Number':
+        return <input type="number" value={value} onChange={(e) => onChange(e.target.value)} className="w-28 text-xs px-2 py-1" />;
+      case 'RichText':
+        return <textarea value={value} onChange={(e) => onChange(e.target.value)} rows={2} className="w-64 text-xs px-2 py-1 font-mono" />;
+      default:
+        break;
+    }
+
+    const placeholder = {
+      MultiImage: 'URLs, separated by ;',
+      MultiReference: 'Slugs, comma-separated',
+      Color: '#000000',
+    }[field.type];
+    return (
+      <input
+        type="text"
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+      />
+    );
+  };
+
+  const pageCount = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+  // Filtering can shrink the list below the current page
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageItems = items.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+  // Edits on items hidden by the filters are kept but not saved
+  const hiddenEdits = Object.keys(edits).filter(id => !itemsById[id]).length;
+
+  // The header checkbox selects every item that passes the filters, not just this page
+  const allSelected = items.length > 0 && items.every(item => selected.has(item.id));
+  const toggleAll = () => onSelectionChange(allSelected ? new Set() : new Set(items.map(item => item.id)));
+  const toggleItem = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onSelectionChange(next);
+  };
+
+  const toggleSort = (key) => {
+    if (sort?.key !== key) onSortChange({ key, direction: 'asc' });
+    else if (sort.direction === 'asc') onSortChange({ key, direction: 'desc' });
+    else onSortChange({ key: null, direction: 'asc' });
+  };
+
+  const sortHeader = (key, label) => (
+    <th key={key} className="px-2 whitespace-nowrap">
+      <button onClick={() => toggleSort(key)} className="flex items-center gap-1 uppercase tracking-widest hover:text-pm-text">
+        {label}
+        {sort?.key === key && (sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+      </button>
+    </th>
+  );
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-pm-error/10 border border-pm-error/30 flex items-center gap-3 text-pm-error text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+          <button onClick={() => setError(null)} className="ml-auto">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 mb-3">
+        <span className="text-xs text-pm-text-muted">
+          {dirtyCount > 0 ? `${dirtyCount} changed cells in ${pending.length} items` : 'No unsaved changes'}
+          {invalidCount > 0 && <span className="text-pm-error"> • {invalidCount} invalid</span>}
+          {hiddenEdits > 0 && <span> • {hiddenEdits} edited items hidden by filters</span>}
+        </span>
+        {progress && <span className="text-xs text-pm-text-muted">{progress.message}</span>}
+        <div className="flex gap-2 ml-auto">
+          <button onClick={discard} disabled={isSaving || Object.keys(edits).length === 0} className="btn btn-ghost text-xs">
+            <X className="w-3 h-3" />
+            Discard
+          </button>
+          <button onClick={save} disabled={isSaving || dirtyCount === 0 || invalidCount > 0} className="btn btn-primary text-xs">
+            {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Save className="w-3 h-3" />}
+            Save Changes
+          </button>
+        </div>
+      </div>
+
+      {saveResult && (
+        <div className={`mb-3 p-3 text-sm border flex items-center gap-2 ${saveResult.failed > 0 ? 'bg-pm-warning/10 border-pm-warning/30 text-pm-text' : 'bg-pm-success/10 border-pm-success/30 text-pm-success'}`}>
+          {saveResult.failed > 0 ? <AlertCircle className="w-4 h-4" /> : <CheckCircle2 className="w-4 h-4" />}
+          Saved {saveResult.saved} items{saveResult.failed > 0 && `; ${saveResult.failed} failed and keep their edits`}.
+        </div>
+      )}
+
+      <div className="max-h-[32rem] overflow-auto bg-pm-dark border border-pm-border">
+        <table>
+          <thead className="sticky top-0 bg-pm-dark z-10">
+            <tr>
+              <th className="px-2">
+                <input type="checkbox" checked={allSelected} onChange={toggleAll} className="accent-pm-accent" title="Select all filtered items" />
+              </th>
+              {sortHeader('status', 'Status')}
+              {fields.map(field => sortHeader(field.slug, field.displayName || field.slug))}
+              {sortHeader('lastUpdated', 'Updated')}
+            </tr>
+          </thead>
+          <tbody>
+            {pageItems.map(item => (
+              <tr key={item.id} className={selected.has(item.id) ? 'bg-pm-accent/5' : ''}>
+                <td className="px-2 align-top">
+                  <input type="checkbox" checked={selected.has(item.id)} onChange={() => toggleItem(item.id)} className="accent-pm-accent" />
+                </td>
+                <td className="px-2 align-top">
+                  <span className={`badge ${STATUS_BADGES[itemStatus(item)]}`}>
+                    {STATUS_FILTERS[itemStatus(item)].label}
+                  </span>
+                  {rowErrors[item.id] && (
+                    <p className="text-pm-error text-xs mt-1 max-w-[12rem]">{rowErrors[item.id]}</p>
+                  )}
+                </td>
+                {fields.map(field => {
+                  const edited = edits[item.id]?.[field.slug];
+                  const cell = edited !== undefined ? parseCell(item, field, edited) : null;
+                  return (
+                    <td
+                      key={field.id}
+                      title={cell?.error || undefined}
+                      className={`px-1 py-1 align-top ${cell?.error ? 'bg-pm-error/20' : cell?.isDirty ? 'bg-pm-accent/10' : ''}`}
+                    >
+                      {renderEditor(item, field)}
+                    </td>
+                  );
+                })}
+                <td className="px-2 align-top text-xs whitespace-nowrap">
+                  {item.lastUpdated ? new Date(item.lastUpdated).toLocaleDateString() : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-3 text-xs text-pm-text-muted">
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} className="p-1 hover:text-pm-accent disabled:opacity-30">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          Items {currentPage * PAGE_SIZE + 1}–{Math.min(items.length, (currentPage + 1) * PAGE_SIZE)} of {items.length}
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} className="p-1 hover:text-pm-accent disabled:opacity-30">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ItemGrid;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { Save, X, Loader2, FileJson } from 'lucide-react';
+import { slugify } from '../utils/referenceResolver';
+import { parseSchema, createSchemaFields, BUILT_IN_FIELDS } from '../utils/collectionSchema';
+
+/**
+ * Create a collection, optionally seeding its fields from a schema file
+ */
+function NewCollectionForm({ client, site, collections, onCreated, onCancel }) {
+  const [displayName, setDisplayName] = useState('');
+  const [singularName, setSingularName] = useState('');
+  const [slug, setSlug] = useState('');
+  const [slugEdited, setSlugEdited] = useState(false);
+  const [schema, setSchema] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const updateName = (value) => {
+    setDisplayName(value);
+    if (!slugEdited) setSlug(slugify(value));
+  };
+
+  // Read a schema file and prefill the names it carries
+  const loadSchema = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const parsed = parseSchema(e.target.result);
+        setSchema(parsed);
+        setError(null);
+        if (!displayName && parsed.name) updateName(parsed.name);
+        if (!singularName && parsed.singularName) setSingularName(parsed.singularName);
+        if (!slugEdited && parsed.slug) {
+          setSlug(parsed.slug);
+          setSlugEdited(true);
+        }
+      } catch (err) {
+        setSchema(null);
+        setError(`Couldn't read schema: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const create = async () => {
+    if (!displayName.trim() || !singularName.trim()) {
+      setError('Display name and singular name are required');
+      return;
+    }
+
+    setIsCreating(true);
+    setError(null);
+    try {
+      const collection = await client.createCollection(site.id, {
+        displayName: displayName.trim(),
+        singularName: singularName.trim(),
+        slug: slug || slugify(displayName),
+      });
+
+      let seeded = null;
+      if (schema) {
+        seeded = await createSchemaFields(client, collection.id, schema.fields, collection.fields || [], collections, setProgress);
+      }
+      onCreated(collection, seeded);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+      setProgress(null);
+    }
+  };
+
+  const seedCount = schema ? schema.fields.filter(f => !BUILT_IN_FIELDS.includes(f.slug)).length : 0;
+
+  return (
+    <div className="mb-4 p-4 bg-pm-accent/5 border border-pm-accent/30 space-y-3">
+      <input
+        type="text"
+        value={displayName}
+        onChange={(e) => updateName(e.target.value)}
+        placeholder="Display name (e.g. Team Members)"
+        className="w-full text-sm py-1.5"
+        autoFocus
+      />
+      <input
+        type="text"
+        value={singularName}
+        onChange={(e) => setSingularName(e.target.value)}
+        placeholder="Singular name (e.g. Team Member)"
+        className="w-full text-sm py-1.5"
+      />
+      <input
+        type="text"
+        value={slug}
+        onChange={(e) => { setSlug(slugify(e.target.value)); setSlugEdited(true); }}
+        placeholder="slug"
+        className="w-full text-sm py-1.5 font-mono"
+      />
+
+      <label className="flex items-center gap-2 text-xs text-pm-text-muted cursor-pointer hover:text-pm-accent">
+        <FileJson className="w-4 h-4" />
+        {schema ? `Seed ${seedCount} fields from ${schema.name || 'schema'}` : 'Seed fields from a schema file (optional)'}
+        <input type="file" accept=".json" onChange={(e) => loadSchema(e.target.files[0])} className="hidden" />
+      </label>
+
+      {error && <p className="text-pm-error text-xs">{error}</p>}
+      {progress && <p className="text-pm-text-muted text-xs">{progress.message}</p>}
+
+      <div className="flex gap-2 justify-end">
+        <button onClick={onCancel} disabled={isCreating} className="btn btn-ghost text-xs">
+          <X className="w-3 h-3" />
+          Cancel
+        </button>
+        <button onClick={create} disabled={isCreating} className="btn btn-primary text-xs">
+          {isCreating ? <Loader2 className="w-3 h-3 animate-spin" /> : <Save className="w-3 h-3" />}
+          Create
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NewCollectionForm;
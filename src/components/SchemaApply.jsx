@@ -0,0 +1,130 @@
+import { useState, useMemo } from 'react';
+import { Loader2, FileJson, Play, X } from 'lucide-react';
+import { parseSchema, diffSchema, createSchemaFields, updateSchemaFields } from '../utils/collectionSchema';
+
+const ACTION_BADGES = {
+  add: { label: 'add', className: 'badge-success' },
+  change: { label: 'change', className: 'badge-warning' },
+  same: { label: 'unchanged', className: 'badge-info' },
+  conflict: { label: 'conflict', className: 'badge-error' },
+};
+
+/**
+ * Diff a schema file against this collection's fields, then create the
+ * missing fields (and optionally update the changed ones)
+ */
+function SchemaApply({ client, collection, collections, onApplied, onCancel }) {
+  const [schema, setSchema] = useState(null);
+  const [includeChanges, setIncludeChanges] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const diff = useMemo(
+    () => (schema ? diffSchema(schema.fields, collection.fields || [], collections) : []),
+    [schema, collection, collections]
+  );
+  const toAdd = diff.filter(d => d.action === 'add');
+  const toChange = diff.filter(d => d.action === 'change');
+  const extraFields = schema
+    ? (collection.fields || []).filter(f => !schema.fields.some(s => s.slug === f.slug))
+    : [];
+
+  const loadSchema = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setSchema(parseSchema(e.target.result));
+        setError(null);
+      } catch (err) {
+        setSchema(null);
+        setError(`Couldn't read schema: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const apply = async () => {
+    setIsApplying(true);
+    setError(null);
+    try {
+      const { created, errors } = await createSchemaFields(
+        client, collection.id, toAdd.map(d => d.schemaField), collection.fields || [], collections, setProgress
+      );
+      const changed = includeChanges
+        ? await updateSchemaFields(client, collection.id, toChange, setProgress)
+        : { updated: [], errors: [] };
+      onApplied({ created, updated: changed.updated, errors: [...errors, ...changed.errors] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsApplying(false);
+      setProgress(null);
+    }
+  };
+
+  const applyCount = toAdd.length + (includeChanges ? toChange.length : 0);
+
+  return (
+    <div className="mb-4 p-4 bg-pm-accent/5 border border-pm-accent/30 space-y-3">
+      <label className="flex items-center gap-2 text-xs text-pm-text-muted cursor-pointer hover:text-pm-accent">
+        <FileJson className="w-4 h-4" />
+        {schema ? `Schema: ${schema.name || 'unnamed'} (${schema.fields.length} fields) — choose another` : 'Choose a schema file to compare'}
+        <input type="file" accept=".json" onChange={(e) => loadSchema(e.target.files[0])} className="hidden" />
+      </label>
+
+      {schema && (
+        <>
+          <p className="text-sm text-pm-text">
+            {toAdd.length} to add, {toChange.length} changed, {diff.filter(d => d.action === 'same').length} unchanged
+            {diff.some(d => d.action === 'conflict') && `, ${diff.filter(d => d.action === 'conflict').length} conflicting`}
+            {extraFields.length > 0 && `. ${extraFields.length} fields not in the schema are left alone`}
+          </p>
+          <div className="bg-pm-dark border border-pm-border max-h-64 overflow-auto">
+            <table>
+              <tbody>
+                {diff.map(({ schemaField, action, changes, problem }) => (
+                  <tr key={schemaField.slug || schemaField.name}>
+                    <td className="px-3 py-2 text-pm-text">{schemaField.name}</td>
+                    <td className="px-3 py-2 font-mono text-xs text-pm-text-muted">{schemaField.slug}</td>
+                    <td className="px-3 py-2 text-xs text-pm-text-muted">{schemaField.type}</td>
+                    <td className="px-3 py-2">
+                      <span className={`badge ${ACTION_BADGES[action].className}`}>{ACTION_BADGES[action].label}</span>
+                    </td>
+                    <td className="px-3 py-2 text-xs">
+                      {changes.length > 0 && <span className="text-pm-text-muted">{changes.join(', ')}</span>}
+                      {problem && <span className="block text-pm-error">{problem}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {toChange.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-pm-text-muted cursor-pointer">
+              <input type="checkbox" checked={includeChanges} onChange={(e) => setIncludeChanges(e.target.checked)} />
+              Also update the {toChange.length} changed fields to match the schema
+            </label>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-pm-error text-xs">{error}</p>}
+      {progress && <p className="text-pm-text-muted text-xs">{progress.message}</p>}
+
+      <div className="flex gap-2 justify-end">
+        <button onClick={onCancel} disabled={isApplying} className="btn btn-ghost text-xs">
+          <X className="w-3 h-3" />
+          Cancel
+        </button>
+        <button onClick={apply} disabled={isApplying || applyCount === 0} className="btn btn-primary text-xs">
+          {isApplying ? <Loader2 className="w-3 h-3 animate-spin" /> : <Play className="w-3 h-3" />}
+          Apply {applyCount > 0 ? `${applyCount} ` : ''}Changes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SchemaApply;
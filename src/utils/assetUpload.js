@@ -0,0 +1,65 @@
+// Webflow Assets upload: create the asset metadata through the API, then POST
+// the file to the presigned upload target it returns
+
+import SparkMD5 from 'spark-md5';
+
+// Set VITE_ASSET_UPLOAD_URL (e.g. /__asset-upload, served by `npm run dev`)
+// to send files to a local stand-in instead of Webflow's storage
+const UPLOAD_URL_OVERRIDE = import.meta.env.VITE_ASSET_UPLOAD_URL || null;
+
+/**
+ * MD5 hex digest of a blob, which Webflow requires as the asset's fileHash
+ */
+export async function hashBlob(blob) {
+  const buffer = await blob.arrayBuffer();
+  return SparkMD5.ArrayBuffer.hash(buffer);
+}
+
+/**
+ * POST a file to a presigned upload target. The signed fields must come
+ * before the file in the form.
+ */
+export async function uploadToTarget(uploadUrl, uploadDetails, blob, fileName) {
+  const form = new FormData();
+  Object.entries(uploadDetails || {}).forEach(([key, value]) => form.append(key, value));
+  form.append('file', blob, fileName);
+
+  const response = await fetch(UPLOAD_URL_OVERRIDE || uploadUrl, { method: 'POST', body: form });
+  if (!response.ok) {
+    throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Upload one file to the site's assets. Returns { id, url, fileName }.
+ */
+export async function uploadAsset(client, siteId, blob, fileName, { parentFolder = null } = {}) {
+  const fileHash = await hashBlob(blob);
+  const asset = await client.createAsset(siteId, {
+    fileName,
+    fileHash,
+    ...(parentFolder ? { parentFolder } : {}),
+  });
+  await uploadToTarget(asset.uploadUrl, asset.uploadDetails, blob, fileName);
+  return { id: asset.id, url: asset.hostedUrl || asset.assetUrl, fileName };
+}
+
+/**
+ * Upload several files one after another. files: [{ id, blob, filename }].
+ * Returns { uploaded: { [id]: { id, url, fileName } }, failed: { [id]: message } }.
+ */
+export async function uploadAssets(client, siteId, files, options = {}, onProgress = null) {
+  const uploaded = {};
+  const failed = {};
+
+  for (const [i, file] of files.entries()) {
+    if (onProgress) onProgress({ message: `Uploading ${i + 1} of ${files.length}: ${file.filename}`, current: i, total: files.length });
+    try {
+      uploaded[file.id] = await uploadAsset(client, siteId, file.blob, file.filename, options);
+    } catch (err) {
+      failed[file.id] = err.message;
+    }
+  }
+
+  return { uploaded, failed };
+}
@@ -0,0 +1,84 @@
+// Bulk actions on a selection of items in the CMS manager
+
+import { applySyncAction } from './importSync';
+
+export const BULK_ACTIONS = {
+  publish: { label: 'Publish', past: 'published', description: 'Publish the selected items (drafts and archived items are restored first)' },
+  unpublish: { label: 'Unpublish', past: 'unpublished', description: 'Take the selected items off the live site' },
+  archive: { label: 'Archive', past: 'archived', description: 'Archive and unpublish the selected items' },
+  draft: { label: 'Set to Draft', past: 'set to draft', description: 'Move the selected items to draft and unpublish them' },
+  delete: { label: 'Delete', past: 'deleted', description: 'Permanently delete the selected items', isDestructive: true },
+};
+
+// Item fields to update locally once an action succeeds
+const STATE_AFTER = {
+  publish: () => ({ isDraft: false, isArchived: false, lastPublished: new Date().toISOString() }),
+  unpublish: () => ({ lastPublished: null }),
+  archive: () => ({ isArchived: true, lastPublished: null }),
+  draft: () => ({ isDraft: true, lastPublished: null }),
+};
+
+/**
+ * Run a bulk action over the given items through the client's batched helpers.
+ * Returns { report, changes, deleted } where report has one
+ * { id, name, status: 'done' | 'skipped' | 'failed', message } entry per item,
+ * changes maps item IDs to updated item fields and deleted lists removed IDs.
+ */
+export async function runBulkAction(client, collectionId, items, action, onProgress = null) {
+  const failures = new Map();
+  const skipped = new Map();
+  const partial = new Set();
+  const fail = (id, error) => failures.set(id, failures.has(id) ? `${failures.get(id)}; ${error}` : error);
+
+  if (action === 'publish') {
+    // Drafts and archived items have to be restored before they can go live
+    const restore = items.filter(item => item.isDraft || item.isArchived).map(item => item.id);
+    if (restore.length > 0) {
+      const result = await client.setItemsStatus(collectionId, restore, { isDraft: false, isArchived: false }, onProgress);
+      result.errors.forEach(e => fail(restore[e.index], e.error));
+    }
+    const ids = items.map(item => item.id).filter(id => !failures.has(id));
+    if (ids.length > 0) {
+      const result = await client.publishItems(collectionId, ids, onProgress);
+      result.errors.forEach(e => fail(ids[e.index], e.error));
+      // Items restored from draft or archive stay restored even if publishing failed
+      result.errors.map(e => ids[e.index]).filter(id => restore.includes(id)).forEach(id => partial.add(id));
+    }
+  } else if (action === 'unpublish') {
+    items.filter(item => !item.lastPublished).forEach(item => skipped.set(item.id, 'Not published'));
+    const ids = items.filter(item => item.lastPublished).map(item => item.id);
+    if (ids.length > 0) {
+      const result = await client.unpublishItems(collectionId, ids, onProgress);
+      result.errors.forEach(e => fail(ids[e.index], e.error));
+    }
+  } else {
+    // Archive, draft and delete behave exactly like a full sync's removal step
+    const targets = items.filter(item => {
+      if (action === 'archive' && item.isArchived) skipped.set(item.id, 'Already archived');
+      else if (action === 'draft' && item.isDraft) skipped.set(item.id, 'Already a draft');
+      else return true;
+      return false;
+    });
+    if (targets.length > 0) {
+      const result = await applySyncAction(client, collectionId, targets, action, onProgress);
+      result.errors.forEach(e => fail(e.id, e.error));
+      // Items archived or drafted whose unpublish failed still changed status
+      result.removed.filter(r => failures.has(r.id)).forEach(r => partial.add(r.id));
+    }
+  }
+
+  const report = items.map(item => {
+    const name = item.fieldData?.name || item.fieldData?.slug || item.id;
+    if (failures.has(item.id)) return { id: item.id, name, status: 'failed', message: failures.get(item.id) };
+    if (skipped.has(item.id)) return { id: item.id, name, status: 'skipped', message: skipped.get(item.id) };
+    return { id: item.id, name, status: 'done', message: BULK_ACTIONS[action].past };
+  });
+  const done = report.filter(r => r.status === 'done').map(r => r.id);
+  const changes = action === 'delete' ? {} : Object.fromEntries(done.map(id => [id, STATE_AFTER[action]()]));
+  partial.forEach(id => {
+    const { lastPublished, ...status } = STATE_AFTER[action]();
+    changes[id] = status;
+  });
+
+  return { report, changes, deleted: action === 'delete' ? done : [] };
+}
@@ -0,0 +1,200 @@
+// Collection cloning: recreate a collection's schema in another collection
+// (on the same site, another site, or a site behind a second API token) and
+// copy its items across with references re-mapped to the new item IDs
+
+import { buildSchema, createSchemaFields } from './collectionSchema';
+import { REFERENCE_TYPES, loadReferenceLookups, resolveReference } from './referenceResolver';
+import { loadReferenceSlugs } from './itemExport';
+import { isPublished } from './itemUpdates';
+
+const IMAGE_TYPES = ['Image', 'MultiImage', 'File'];
+
+/**
+ * Which source fields can be copied, and why the others can't.
+ * Returns { copy: [{ source, dest, isSelfReference }], skipped: [{ field, reason }] }
+ */
+export function planFieldCopy(sourceDetails, destFields, { copyImages = true } = {}) {
+  const destBySlug = Object.fromEntries(destFields.map(f => [f.slug, f]));
+  const copy = [];
+  const skipped = [];
+
+  (sourceDetails.fields || []).forEach(source => {
+    const dest = destBySlug[source.slug];
+    if (!dest) {
+      skipped.push({ field: source, reason: 'Not on the destination collection' });
+    } else if (dest.type !== source.type) {
+      skipped.push({ field: source, reason: `${source.type} here but ${dest.type} on the destination` });
+    } else if (IMAGE_TYPES.includes(source.type) && !copyImages) {
+      skipped.push({ field: source, reason: 'Images and files not copied' });
+    } else {
+      copy.push({
+        source,
+        dest,
+        isSelfReference: REFERENCE_TYPES.includes(source.type) && source.validations?.collectionId === sourceDetails.id,
+      });
+    }
+  });
+
+  return { copy, skipped };
+}
+
+// One field value in the destination's terms: references by slug, options by
+// name, images and files by URL (Webflow uploads them to the destination site).
+// Returns undefined when nothing on the destination matches.
+function copyValue({ source, dest }, value, sourceSlugs, destLookups) {
+  const toDestId = (id) => {
+    const lookup = destLookups[dest.validations?.collectionId];
+    const slug = sourceSlugs[id];
+    return lookup && slug ? resolveReference(lookup, slug) : null;
+  };
+
+  switch (source.type) {
+    case 'Reference':
+      return toDestId(value) || undefined;
+    case 'MultiReference': {
+      const ids = value.map(toDestId).filter(Boolean);
+      return ids.length ? ids : undefined;
+    }
+    case 'Option': {
+      const name = source.validations?.options?.find(o => o.id === value)?.name;
+      return dest.validations?.options?.find(o => o.name === name)?.id;
+    }
+    case 'Image':
+      return value.url ? { url: value.url, ...(value.alt ? { alt: value.alt } : {}) } : undefined;
+    case 'MultiImage':
+      return value.filter(image => image.url).map(image => ({ url: image.url, ...(image.alt ? { alt: image.alt } : {}) }));
+    case 'File':
+      return value.url ? { url: value.url } : undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Clone sourceCollection into destCollection (or into a new collection created
+ * from newCollection: { displayName, singularName, slug }).
+ * sourceClient and destClient may be the same client.
+ * options: { copyImages, publish } — publish re-publishes items that are
+ * published on the source; everything else is written staged, drafts stay drafts.
+ */
+export async function cloneCollection({
+  sourceClient,
+  destClient,
+  sourceCollection,
+  sourceCollections,
+  destSiteId,
+  destCollection = null,
+  newCollection = null,
+  options = {},
+}, onProgress = null) {
+  const { copyImages = true, publish = false } = options;
+  const progress = (message) => onProgress && onProgress({ message });
+
+  progress('Reading source collection...');
+  const sourceDetails = await sourceClient.getCollection(sourceCollection.id);
+  const destCollections = await destClient.getCollections(destSiteId);
+
+  let destDetails;
+  if (destCollection) {
+    destDetails = await destClient.getCollection(destCollection.id);
+  } else {
+    progress(`Creating ${newCollection.displayName}...`);
+    destDetails = await destClient.createCollection(destSiteId, newCollection);
+  }
+
+  // Self-references point at the clone even when it was given another slug
+  const resolvable = [
+    ...destCollections.filter(c => c.id !== destDetails.id && c.slug !== sourceDetails.slug),
+    { id: destDetails.id, slug: sourceDetails.slug },
+  ];
+  const schema = buildSchema(sourceDetails, sourceCollections);
+  const schemaResult = await createSchemaFields(
+    destClient, destDetails.id, schema.fields, destDetails.fields || [], resolvable, onProgress
+  );
+  destDetails = await destClient.getCollection(destDetails.id);
+
+  const plan = planFieldCopy(sourceDetails, destDetails.fields || [], { copyImages });
+  const crossReferences = plan.copy.filter(c => REFERENCE_TYPES.includes(c.source.type) && !c.isSelfReference);
+
+  progress('Loading source items...');
+  const sourceItems = await sourceClient.getAllItems(sourceDetails.id);
+  progress('Loading referenced items...');
+  const sourceSlugs = await loadReferenceSlugs(sourceClient, crossReferences.map(c => c.source));
+  const destLookups = await loadReferenceLookups(destClient, crossReferences.map(c => c.dest));
+
+  const toCopy = sourceItems.filter(item => !item.isArchived);
+  let unresolvedReferences = 0;
+  const rows = toCopy.map(item => {
+    const fieldData = {};
+    const selfReferences = {};
+    plan.copy.forEach(entry => {
+      const value = item.fieldData?.[entry.source.slug];
+      if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return;
+      if (entry.isSelfReference) {
+        selfReferences[entry.dest.slug] = value;
+        return;
+      }
+      const copied = copyValue(entry, value, sourceSlugs, destLookups);
+      const lost = Array.isArray(value) ? value.length - (copied?.length || 0) : (copied === undefined ? 1 : 0);
+      if (REFERENCE_TYPES.includes(entry.source.type)) unresolvedReferences += lost;
+      if (copied !== undefined) fieldData[entry.dest.slug] = copied;
+    });
+    return { item, fieldData, selfReferences };
+  });
+
+  // Upsert by slug so a clone can be re-run into the same collection
+  const destIds = {};
+  const failed = [];
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  for (const isDraft of [false, true]) {
+    const group = rows.filter(row => !!row.item.isDraft === isDraft);
+    if (group.length === 0) continue;
+    progress(`Copying ${group.length} ${isDraft ? 'draft items' : 'items'}...`);
+    const result = await destClient.upsertItems(destDetails.id, group.map(row => row.fieldData), false, onProgress, { isDraft });
+    result.results.forEach(r => {
+      destIds[group[r.index].item.id] = r.itemId || r.data?.id;
+      counts[r.action] = (counts[r.action] || 0) + 1;
+    });
+    result.errors.forEach(e => failed.push({ name: group[e.index].item.fieldData?.name, error: e.error }));
+  }
+
+  // Second pass: self-references can only be set once every item has its new ID
+  const selfUpdates = rows
+    .filter(row => destIds[row.item.id] && Object.keys(row.selfReferences).length > 0)
+    .map(row => ({
+      id: destIds[row.item.id],
+      fieldData: Object.fromEntries(Object.entries(row.selfReferences).map(([slug, value]) => [
+        slug,
+        Array.isArray(value) ? value.map(id => destIds[id]).filter(Boolean) : destIds[value] || null,
+      ])),
+    }));
+  if (selfUpdates.length > 0) {
+    progress('Linking items that reference each other...');
+    const linked = await destClient.updateItems(destDetails.id, selfUpdates, false, onProgress);
+    linked.errors.forEach(e => failed.push({ name: `${e.item.id} (references)`, error: e.error }));
+  }
+
+  let published = 0;
+  const publishErrors = [];
+  if (publish) {
+    const publishIds = rows.filter(row => isPublished(row.item) && destIds[row.item.id]).map(row => destIds[row.item.id]);
+    if (publishIds.length > 0) {
+      const result = await destClient.publishItems(destDetails.id, publishIds, onProgress);
+      published = result.results.length;
+      publishErrors.push(...result.errors.map(e => ({ id: e.item.id, error: e.error })));
+    }
+  }
+
+  return {
+    collection: destDetails,
+    fieldsCreated: schemaResult.created,
+    fieldErrors: schemaResult.errors,
+    skippedFields: plan.skipped,
+    ...counts,
+    failed,
+    archivedSkipped: sourceItems.length - toCopy.length,
+    unresolvedReferences,
+    published,
+    publishErrors,
+  };
+}
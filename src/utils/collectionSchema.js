@@ -0,0 +1,186 @@
+// Collection schema files: the JSON written by "Export Schema", read back to
+// seed new collections or add missing fields to existing ones
+
+import { FIELD_SETTINGS, emptyDraft, validateDraft, buildCreatePayload, buildUpdatePayload, settingsChanged } from './fieldSchema';
+
+// Every collection gets these fields from Webflow automatically
+export const BUILT_IN_FIELDS = ['name', 'slug'];
+
+/**
+ * Schema for a collection: { name, singularName, slug, fields[] }. Reference
+ * targets are stored by collection slug so the file works on other sites.
+ */
+export function buildSchema(details, collections = []) {
+  return {
+    name: details.displayName || details.name,
+    singularName: details.singularName,
+    slug: details.slug,
+    fields: (details.fields || []).map(f => {
+      const validations = {};
+      (FIELD_SETTINGS[f.type] || []).forEach(key => {
+        const value = f.validations?.[key];
+        if (value === undefined || value === null) return;
+        if (key === 'options') validations.options = value.map(o => o.name);
+        else if (key === 'collectionId') validations.collectionSlug = collections.find(c => c.id === value)?.slug || null;
+        else validations[key] = value;
+      });
+      return {
+        name: f.displayName || f.name,
+        slug: f.slug,
+        type: f.type,
+        required: f.isRequired,
+        helpText: f.helpText,
+        ...(Object.keys(validations).length > 0 ? { validations } : {}),
+      };
+    }),
+  };
+}
+
+/**
+ * Parse and sanity-check a schema file's text. Throws with a readable message.
+ */
+export function parseSchema(text) {
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (!schema || !Array.isArray(schema.fields)) {
+    throw new Error('Not a schema file: expected { name, slug, fields: [...] }');
+  }
+  const invalid = schema.fields.find(f => !f.name || !f.type);
+  if (invalid) {
+    throw new Error(`Every field needs a name and type (check "${invalid.slug || invalid.name || 'unnamed'}")`);
+  }
+  return schema;
+}
+
+/**
+ * Field draft for a schema field, resolving reference targets against this
+ * site's collections by slug. When the field already exists, its option
+ * choices keep their IDs so unchanged choices compare equal.
+ */
+export function schemaFieldToDraft(schemaField, collections = [], existing = null) {
+  const draft = emptyDraft(schemaField.type);
+  const v = schemaField.validations || {};
+  const target = v.collectionSlug && collections.find(c => c.slug === v.collectionSlug);
+  const existingOptions = existing?.validations?.options || [];
+  const optionId = (name) => existingOptions.find(o => o.name.toLowerCase() === name.toLowerCase())?.id;
+
+  return {
+    ...draft,
+    displayName: schemaField.name,
+    helpText: schemaField.helpText || '',
+    isRequired: !!schemaField.required,
+    settings: {
+      ...draft.settings,
+      ...Object.fromEntries(['format', 'minLength', 'maxLength', 'minValue', 'maxValue']
+        .filter(key => v[key] !== undefined && v[key] !== null)
+        .map(key => [key, v[key]])),
+      options: (v.options || []).map(name => (optionId(name) ? { id: optionId(name), name } : { name })),
+      collectionId: target?.id || '',
+    },
+  };
+}
+
+const CHANGE_LABELS = {
+  displayName: 'name',
+  helpText: 'help text',
+  isRequired: 'required',
+};
+
+/**
+ * Compare schema fields with a collection's fields (matched by slug).
+ * Returns one entry per schema field:
+ * { schemaField, existing, action: 'add' | 'change' | 'same' | 'conflict', changes, update, problem }
+ * where update is the updateField body for 'change' entries.
+ */
+export function diffSchema(schemaFields, existingFields, collections = []) {
+  const bySlug = Object.fromEntries(existingFields.map(f => [f.slug, f]));
+
+  return schemaFields.map(schemaField => {
+    const existing = bySlug[schemaField.slug] || null;
+    const draft = schemaFieldToDraft(schemaField, collections, existing);
+    const unresolvedTarget = schemaField.validations?.collectionSlug && !draft.settings.collectionId
+      ? `No collection with slug "${schemaField.validations.collectionSlug}" on this site`
+      : null;
+
+    if (!existing) {
+      return { schemaField, existing, action: 'add', changes: [], update: null, problem: unresolvedTarget || validateDraft(draft) };
+    }
+    if (existing.type !== schemaField.type) {
+      return {
+        schemaField, existing, action: 'conflict', changes: [], update: null,
+        problem: `Type is ${existing.type} here but ${schemaField.type} in the schema; field types can't be changed`,
+      };
+    }
+
+    const update = buildUpdatePayload(existing, draft);
+    const changes = Object.keys(update).map(key => CHANGE_LABELS[key] || key);
+    // Choices, reference targets and limits can't be changed on an existing field
+    const fixedSettings = !unresolvedTarget && settingsChanged(existing, draft)
+      ? "Choices, reference or limits differ from the schema; Webflow can't change them on an existing field"
+      : null;
+    return {
+      schemaField,
+      existing,
+      action: changes.length > 0 ? 'change' : 'same',
+      changes,
+      update: changes.length > 0 ? update : null,
+      problem: unresolvedTarget || fixedSettings,
+    };
+  });
+}
+
+/**
+ * Create the schema fields a collection doesn't have yet (matched by slug).
+ * Returns { created, errors } with the schema fields and error messages.
+ */
+export async function createSchemaFields(client, collectionId, schemaFields, existingFields, collections, onProgress = null) {
+  const existing = new Set([...BUILT_IN_FIELDS, ...existingFields.map(f => f.slug)]);
+  const missing = schemaFields.filter(f => !existing.has(f.slug));
+  const created = [];
+  const errors = [];
+
+  for (const [i, field] of missing.entries()) {
+    if (onProgress) onProgress({ message: `Creating field ${i + 1} of ${missing.length}: ${field.name}` });
+    const draft = schemaFieldToDraft(field, collections);
+    const problem = validateDraft(draft);
+    if (problem) {
+      errors.push({ field, error: field.validations?.collectionSlug && !draft.settings.collectionId
+        ? `No collection with slug "${field.validations.collectionSlug}" on this site`
+        : problem });
+      continue;
+    }
+    try {
+      await client.createField(collectionId, buildCreatePayload(draft));
+      created.push(field);
+    } catch (err) {
+      errors.push({ field, error: err.message });
+    }
+  }
+
+  return { created, errors };
+}
+
+/**
+ * Apply the updates from diffSchema's 'change' entries.
+ * Returns { updated, errors } with the schema fields and error messages.
+ */
+export async function updateSchemaFields(client, collectionId, entries, onProgress = null) {
+  const updated = [];
+  const errors = [];
+
+  for (const [i, { schemaField, existing, update }] of entries.entries()) {
+    if (onProgress) onProgress({ message: `Updating field ${i + 1} of ${entries.length}: ${schemaField.name}` });
+    try {
+      await client.updateField(collectionId, existing.id, update);
+      updated.push(schemaField);
+    } catch (err) {
+      errors.push({ field: schemaField, error: err.message });
+    }
+  }
+
+  return { updated, errors };
+}
@@ -0,0 +1,398 @@
+// Field value coercion: turns raw CSV/JSON values into the types Webflow expects
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on', 'x', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', 'unchecked'];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  navy: '#000080',
+  teal: '#008080',
+  maroon: '#800000',
+  transparent: '#00000000',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Field types whose values are free text and are passed through as strings
+const TEXT_TYPES = ['PlainText', 'RichText', 'Email', 'Phone'];
+
+/**
+ * Error thrown when a value can't be converted to its field's type
+ */
+export class CoercionError extends Error {
+  constructor(field, value, message) {
+    super(`${field.displayName || field.slug}: ${message}`);
+    this.name = 'CoercionError';
+    this.field = field.slug;
+    this.value = value;
+  }
+}
+
+/**
+ * Get the decimal and group separators for a locale
+ */
+export function getNumberSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    decimal: parts.find(p => p.type === 'decimal')?.value || '.',
+    group: parts.find(p => p.type === 'group')?.value || ',',
+  };
+}
+
+/**
+ * Whether a locale writes dates day-first (e.g. 31/12/2024)
+ */
+export function isDayFirstLocale(locale) {
+  const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2024, 11, 31));
+  const order = parts.filter(p => p.type === 'day' || p.type === 'month').map(p => p.type);
+  return order[0] === 'day';
+}
+
+/**
+ * Split a multi-value cell on semicolons or commas
+ */
+export function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .split(/[;,]/)
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split a cell of URLs on semicolons or new lines. Commas only separate URLs
+ * when the next one starts with a scheme or "www.", since URLs may contain them.
+ */
+export function splitUrlList(value) {
+  if (Array.isArray(value)) return value;
+  const str = String(value);
+  const separator = /[;\n]/.test(str) ? /[;\n]/ : /,\s*(?=[a-z][a-z0-9+.-]*:\/\/|www\.)/i;
+  return str
+    .split(separator)
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a number written in any common locale format
+ * ("1,234.5", "1.234,5", "1 234,5", "$1,200", "USD 1,200", "(15)", "15%", "1e5").
+ * Anything else in the string makes it NaN.
+ */
+export function parseNumber(value, locale) {
+  if (typeof value === 'number') return value;
+
+  const compact = String(value).trim().replace(/[\s']/g, '');
+  if (/^[-+]?(\d+\.?\d*|\.\d+)e[-+]?\d+$/i.test(compact)) return Number(compact);
+
+  // Optional sign, currency and percent around the digits, or accounting parentheses
+  const parts = compact.match(/^(\()?([-+])?([$€£¥₹]|[A-Z]{3})?([-+])?(\d[\d.,]*|[.,]\d+)(%|[$€£¥₹]|[A-Z]{3})?(\))?$/);
+  if (!parts || !!parts[1] !== !!parts[7]) return NaN;
+  const negative = !!parts[1] || parts[2] === '-' || parts[4] === '-';
+  const str = parts[5];
+
+  const lastDot = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+  let decimal;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? '.' : ',';
+    const groups = str.split(sep);
+    // "1,234,567" or "1.234" with exact thousands groups is ambiguous; defer to the locale
+    const looksGrouped = groups.length > 2 ||
+      (groups.length === 2 && groups[1].length === 3 && getNumberSeparators(locale).group === sep);
+    decimal = looksGrouped ? null : sep;
+  }
+
+  // The whole part may only use one group separator, in groups of three
+  // ("1,234,567" but not "1,2,3"); the fraction may not use any
+  const [whole, fraction = '', ...rest] = decimal ? str.split(decimal) : [str];
+  if (rest.length > 0 || /[.,]/.test(fraction)) return NaN;
+  if (/[.,]/.test(whole) && !/^\d{1,3}([.,])\d{3}(\1\d{3})*$/.test(whole)) return NaN;
+
+  const normalized = str
+    .split('')
+    .filter(ch => /\d/.test(ch) || ch === decimal)
+    .join('')
+    .replace(decimal || '.', '.');
+
+  const number = parseFloat(normalized);
+  return negative ? -number : number;
+}
+
+/**
+ * Parse a date in ISO, numeric (locale day/month order) or written-month form
+ * and return an ISO 8601 string
+ */
+export function parseDate(value, locale) {
+  if (value instanceof Date) return value.toISOString();
+
+  const str = String(value).trim();
+
+  // ISO dates and datetimes
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (iso) {
+    const [, year, month, day] = iso.map(Number);
+    const calendar = new Date(Date.UTC(year, month - 1, day));
+    const date = new Date(str.length === 10 ? `${str}T00:00:00Z` : str.replace(' ', 'T'));
+    // "2024-02-31" would otherwise roll into March
+    if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day || isNaN(date)) return null;
+    return date.toISOString();
+  }
+
+  // Numeric dates: 12/31/2024, 31.12.2024, 2024/12/31
+  const numeric = str.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i);
+  if (numeric) {
+    let [, a, b, c, hh = '0', mm = '0', ss = '0', meridiem] = numeric;
+    let year, month, day;
+    if (a.length === 4) {
+      [year, month, day] = [a, b, c];
+    } else if (isDayFirstLocale(locale) || Number(a) > 12) {
+      [day, month, year] = [a, b, c];
+    } else {
+      [month, day, year] = [a, b, c];
+    }
+    if (year.length === 2) year = `20${year}`;
+    let hours = Number(hh);
+    if (meridiem) hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), hours, Number(mm), Number(ss)));
+    if (!isNaN(date) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)) {
+      return date.toISOString();
+    }
+    return null;
+  }
+
+  // Written months: "Jan 5, 2024", "5 January 2024"
+  const written = str.match(/^(?:(\d{1,2})\s+([a-z]+)|([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?)\s+(\d{4})$/i);
+  if (written) {
+    const monthName = (written[2] || written[3]).slice(0, 3).toLowerCase();
+    const month = MONTHS.indexOf(monthName);
+    const day = Number(written[1] || written[4]);
+    const date = new Date(Date.UTC(Number(written[5]), month, day));
+    // Impossible days ("Feb 31") would otherwise roll into the next month
+    if (month !== -1 && date.getUTCMonth() === month && date.getUTCDate() === day) return date.toISOString();
+    return null;
+  }
+
+  // Other written forms with a month name and a full year
+  // ("Fri, 05 Jan 2024 10:00:00 GMT"); anything else isn't a date
+  const lower = str.toLowerCase();
+  if (/\b\d{4}\b/.test(str) && MONTHS.some(m => lower.includes(m))) {
+    const fallback = new Date(str);
+    if (!isNaN(fallback)) return fallback.toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a color (hex, rgb()/rgba() or basic name) to #rrggbb / #rrggbbaa
+ */
+export function parseColor(value) {
+  const str = String(value).trim().toLowerCase();
+
+  if (NAMED_COLORS[str]) return NAMED_COLORS[str];
+
+  const hex = str.replace(/^#/, '');
+  if (/^[0-9a-f]{3,4}$/.test(hex)) {
+    return `#${hex.split('').map(ch => ch + ch).join('')}`;
+  }
+  if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) {
+    return `#${hex}`;
+  }
+
+  const rgb = str.match(/^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map(Number);
+    if (channels.some(c => c > 255)) return null;
+    let out = `#${channels.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+    if (rgb[4] !== undefined) {
+      const alpha = rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+      if (alpha < 1) out += Math.round(alpha * 255).toString(16).padStart(2, '0');
+    }
+    return out;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a URL, adding https:// when the scheme is missing. Web URLs need
+ * a host with a domain ("foo" alone isn't a link).
+ */
+export function parseLink(value) {
+  let str = String(value).trim();
+  if (/^(mailto|tel):/i.test(str)) return str;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(str)) {
+    str = `https://${str.replace(/^\/\//, '')}`;
+  }
+  try {
+    const url = new URL(str);
+    if (/^https?:$/.test(url.protocol) && !url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a raw cell counts as empty
+ */
+export function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Coerce a single raw value to the type of a collection field.
+ * Returns undefined for empty values on non-text fields so they're left out
+ * of the payload. Throws CoercionError when the value can't be converted.
+ */
+export function coerceValue(field, value, options = {}) {
+  const { locale } = options;
+
+  if (isEmptyValue(value)) {
+    return TEXT_TYPES.includes(field.type) || field.slug === 'slug' ? value ?? '' : undefined;
+  }
+
+  switch (field.type) {
+    case 'PlainText':
+    case 'RichText':
+    case 'Phone':
+      return typeof value === 'string' ? value : String(value);
+
+    case 'Email': {
+      const email = String(value).trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new CoercionError(field, value, `"${value}" is not a valid email`);
+      }
+      return email;
+    }
+
+    case 'Number': {
+      const number = parseNumber(value, locale);
+      if (isNaN(number)) {
+        throw new CoercionError(field, value, `"${value}" is not a number`);
+      }
+      const { format, precision, minValue, maxValue } = field.validations || {};
+      const rounded = format === 'integer'
+        ? Math.round(number)
+        : precision != null ? Number(number.toFixed(precision)) : number;
+      if (minValue != null && rounded < minValue) {
+        throw new CoercionError(field, value, `${rounded} is below the minimum of ${minValue}`);
+      }
+      if (maxValue != null && rounded > maxValue) {
+        throw new CoercionError(field, value, `${rounded} is above the maximum of ${maxValue}`);
+      }
+      return rounded;
+    }
+
+    case 'Switch': {
+      if (typeof value === 'boolean') return value;
+      const str = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(str)) return true;
+      if (FALSE_VALUES.includes(str)) return false;
+      throw new CoercionError(field, value, `"${value}" is not a yes/no value`);
+    }
+
+    case 'DateTime': {
+      const iso = parseDate(value, locale);
+      if (!iso) {
+        throw new CoercionError(field, value, `"${value}" is not a recognized date`);
+      }
+      return iso;
+    }
+
+    case 'Color': {
+      const color = parseColor(value);
+      if (!color) {
+        throw new CoercionError(field, value, `"${value}" is not a recognized color`);
+      }
+      return color;
+    }
+
+    case 'Option': {
+      const options = field.validations?.options || [];
+      const str = String(value).trim();
+      const match = options.find(o => o.id === str) ||
+        options.find(o => o.name?.toLowerCase() === str.toLowerCase());
+      if (!match) {
+        const choices = options.map(o => o.name).join(', ');
+        throw new CoercionError(field, value, `"${value}" is not one of: ${choices || 'no options defined'}`);
+      }
+      return match.id;
+    }
+
+    case 'Link':
+    case 'Video': {
+      const url = parseLink(value);
+      if (!url) {
+        throw new CoercionError(field, value, `"${value}" is not a valid URL`);
+      }
+      return url;
+    }
+
+    case 'Image':
+    case 'File': {
+      if (typeof value === 'object') return value;
+      const url = parseLink(value);
+      if (!url) {
+        throw new CoercionError(field, value, `"${value}" is not a valid URL`);
+      }
+      return { url };
+    }
+
+    case 'MultiImage':
+      return splitUrlList(value).map(entry => {
+        if (typeof entry === 'object') return entry;
+        const url = parseLink(entry);
+        if (!url) {
+          throw new CoercionError(field, value, `"${entry}" is not a valid URL`);
+        }
+        return { url };
+      });
+
+    case 'MultiReference':
+      return splitList(value);
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Coerce every mapped value in a row.
+ * Returns { data, errors } where errors lists CoercionErrors for this row.
+ */
+export function coerceRow(row, fieldsBySlug, options = {}) {
+  const data = {};
+  const errors = [];
+
+  Object.entries(row).forEach(([slug, value]) => {
+    const field = fieldsBySlug[slug];
+    if (!field) {
+      data[slug] = value;
+      return;
+    }
+    try {
+      const coerced = coerceValue(field, value, options);
+      if (coerced !== undefined) data[slug] = coerced;
+    } catch (err) {
+      if (!(err instanceof CoercionError)) throw err;
+      errors.push(err);
+    }
+  });
+
+  return { data, errors };
+}
@@ -0,0 +1,140 @@
+// Field settings: translate between Webflow field definitions and the editable
+// draft used by the CMS manager's field forms
+
+// Type-specific settings the field forms can edit
+export const FIELD_SETTINGS = {
+  PlainText: ['minLength', 'maxLength'],
+  Number: ['format', 'minValue', 'maxValue'],
+  Option: ['options'],
+  Reference: ['collectionId'],
+  MultiReference: ['collectionId'],
+};
+
+// Settings Webflow takes under `metadata` rather than `validations`
+const METADATA_SETTINGS = ['options', 'collectionId'];
+
+export const NUMBER_FORMATS = {
+  decimal: 'Decimal',
+  integer: 'Integer',
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Editable draft for a new field of the given type
+ */
+export function emptyDraft(type = 'PlainText') {
+  return {
+    displayName: '',
+    type,
+    helpText: '',
+    isRequired: false,
+    settings: { options: [], collectionId: '', format: 'decimal', minLength: '', maxLength: '', minValue: '', maxValue: '' },
+  };
+}
+
+/**
+ * Editable draft for an existing field
+ */
+export function fieldToDraft(field) {
+  const v = field.validations || {};
+  return {
+    displayName: field.displayName || field.name || '',
+    type: field.type,
+    helpText: field.helpText || '',
+    isRequired: !!field.isRequired,
+    settings: {
+      options: (v.options || []).map(o => ({ id: o.id, name: o.name })),
+      collectionId: v.collectionId || '',
+      format: v.format || 'decimal',
+      minLength: v.minLength ?? '',
+      maxLength: v.maxLength ?? '',
+      minValue: v.minValue ?? '',
+      maxValue: v.maxValue ?? '',
+    },
+  };
+}
+
+/**
+ * Problems that would make Webflow reject the field, or null
+ */
+export function validateDraft(draft) {
+  const { settings } = draft;
+  if (!draft.displayName.trim()) return 'Field name is required';
+  if (draft.type === 'Option' && settings.options.filter(o => o.name.trim()).length === 0) {
+    return 'Option fields need at least one choice';
+  }
+  if (['Reference', 'MultiReference'].includes(draft.type) && !settings.collectionId) {
+    return 'Choose the collection this field references';
+  }
+  const pairs = [['minLength', 'maxLength'], ['minValue', 'maxValue']];
+  for (const [min, max] of pairs) {
+    const low = toNumberOrNull(settings[min]);
+    const high = toNumberOrNull(settings[max]);
+    if ([low, high].some(n => n !== null && isNaN(n))) return `${min} and ${max} must be numbers`;
+    if (low !== null && high !== null && low > high) return `${min} can't be greater than ${max}`;
+  }
+  return null;
+}
+
+// The draft's type-specific settings, as Webflow expects them
+function settingsPayload(draft) {
+  const keys = FIELD_SETTINGS[draft.type] || [];
+  const metadata = {};
+  const validations = {};
+
+  keys.forEach(key => {
+    let value = draft.settings[key];
+    if (key === 'options') {
+      value = value
+        .filter(o => o.name.trim())
+        .map(o => (o.id ? { id: o.id, name: o.name.trim() } : { name: o.name.trim() }));
+    } else if (key !== 'collectionId' && key !== 'format') {
+      value = toNumberOrNull(value);
+    }
+    if (METADATA_SETTINGS.includes(key)) metadata[key] = value;
+    else validations[key] = value;
+  });
+
+  return { metadata, validations };
+}
+
+/**
+ * Request body for createField
+ */
+export function buildCreatePayload(draft) {
+  const { metadata, validations } = settingsPayload(draft);
+  const payload = {
+    displayName: draft.displayName.trim(),
+    type: draft.type,
+    isRequired: draft.isRequired,
+    helpText: draft.helpText,
+  };
+  if (Object.keys(metadata).length > 0) payload.metadata = metadata;
+  const setValidations = Object.fromEntries(Object.entries(validations).filter(([, v]) => v !== null));
+  if (Object.keys(setValidations).length > 0) payload.validations = setValidations;
+  return payload;
+}
+
+/**
+ * Request body for updateField with only what changed (empty if nothing did).
+ * Webflow's field update only takes displayName, helpText and isRequired;
+ * the type-specific settings are fixed once a field exists.
+ */
+export function buildUpdatePayload(field, draft) {
+  const original = fieldToDraft(field);
+  const payload = {};
+
+  if (draft.displayName.trim() !== original.displayName) payload.displayName = draft.displayName.trim();
+  if (draft.helpText !== original.helpText) payload.helpText = draft.helpText;
+  if (draft.isRequired !== original.isRequired) payload.isRequired = draft.isRequired;
+
+  return payload;
+}
+
+/**
+ * Whether the draft's type-specific settings differ from the field's
+ */
+export function settingsChanged(field, draft) {
+  return JSON.stringify(settingsPayload(fieldToDraft(field))) !== JSON.stringify(settingsPayload(draft));
+}
@@ -0,0 +1,125 @@
+// Find and replace across the text fields of a collection's items
+
+import { parseLink } from './fieldCoercion';
+
+export const SEARCHABLE_TYPES = ['PlainText', 'RichText', 'Link'];
+
+const CONTEXT_CHARS = 40;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a global RegExp for the search. Throws SyntaxError for an invalid
+ * regular expression.
+ */
+export function buildMatcher(find, { isRegex = false, caseSensitive = false } = {}) {
+  const flags = caseSensitive ? 'g' : 'gi';
+  return new RegExp(isRegex ? find : escapeRegExp(find), flags);
+}
+
+// Tags in RichText HTML; only the text between them is searched, so a search
+// never rewrites markup
+const TAG = /(<[^>]*>)/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+// Text as the reader sees it ("AT&amp;T" is "AT&T"); unknown entities stay as written
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z]+);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+// Matches in one run of text, with the replaced text
+function matchText(value, matcher, single, replacement) {
+  const matches = [];
+  for (const match of value.matchAll(matcher)) {
+    // Zero-length matches (e.g. ^ or \b) would replace nothing visible
+    if (match[0] === '') continue;
+    const end = match.index + match[0].length;
+    single.lastIndex = match.index;
+    const replaced = value.replace(single, replacement);
+    matches.push({
+      before: value.slice(Math.max(0, match.index - CONTEXT_CHARS), match.index),
+      text: match[0],
+      replacement: replaced.slice(match.index, replaced.length - (value.length - end)),
+      after: value.slice(end, end + CONTEXT_CHARS),
+    });
+  }
+  return { matches, after: matches.length > 0 ? value.replace(matcher, replacement) : value };
+}
+
+/**
+ * Find every match in the given fields of each item and compute the replaced
+ * value. With a regex, the replacement may use $1, $& and the other
+ * String.replace patterns. RichText fields are searched as decoded text
+ * outside tags, and the replaced text is escaped again. A Link whose result
+ * isn't a valid URL gets an `error` and is left out of the updates.
+ * Returns one entry per changed field:
+ * [{ itemId, itemName, field, before, after, error, matches: [{ before, text, replacement, after }] }]
+ */
+export function findMatches(items, fields, matcher, replacement) {
+  const changes = [];
+  // Replaces only the match at lastIndex, so lookarounds still see the whole value
+  const single = new RegExp(matcher.source, matcher.flags.replace('g', '') + 'y');
+
+  for (const item of items) {
+    for (const field of fields) {
+      const value = item.fieldData?.[field.slug];
+      if (typeof value !== 'string' || value === '') continue;
+
+      // Odd segments are tags and stay as they are
+      const isRichText = field.type === 'RichText';
+      const segments = isRichText ? value.split(TAG) : [value];
+      const matches = [];
+      const after = segments.map((segment, i) => {
+        if (i % 2 === 1 || segment === '') return segment;
+        const text = isRichText ? decodeEntities(segment) : segment;
+        const result = matchText(text, matcher, single, replacement);
+        if (result.matches.length === 0) return segment;
+        matches.push(...result.matches);
+        return isRichText ? escapeHtml(result.after) : result.after;
+      }).join('');
+      if (matches.length === 0 || after === value) continue;
+
+      changes.push({
+        itemId: item.id,
+        itemName: item.fieldData?.name || item.fieldData?.slug || item.id,
+        field: field.slug,
+        fieldName: field.displayName || field.slug,
+        before: value,
+        after,
+        error: field.type === 'Link' && !parseLink(after) ? `"${after}" is not a valid URL` : null,
+        matches,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Group field changes (except those with an error) into update entries: [{ id, fieldData }]
+ */
+export function changesToUpdates(changes) {
+  const byItem = new Map();
+  changes.filter(change => !change.error).forEach(change => {
+    if (!byItem.has(change.itemId)) byItem.set(change.itemId, {});
+    byItem.get(change.itemId)[change.field] = change.after;
+  });
+  return [...byItem.entries()].map(([id, fieldData]) => ({ id, fieldData }));
+}
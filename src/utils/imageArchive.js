@@ -0,0 +1,71 @@
+// ZIP archives of processed images, with a manifest the Data Importer can read
+
+import { zipSync } from 'fflate';
+import Papa from 'papaparse';
+
+export const MANIFEST_FORMATS = {
+  csv: 'CSV manifest',
+  json: 'JSON manifest',
+  none: 'No manifest',
+};
+
+// Folder for an image's size preset; custom sizes are named by dimensions
+function presetFolder(image) {
+  return image.preset && image.preset !== 'custom' ? image.preset : `custom-${Math.round(image.width)}x${Math.round(image.height)}`;
+}
+
+/**
+ * Archive path for every image ({ [id]: path }), optionally in a folder per
+ * preset. Repeated names get a numeric suffix so no file is overwritten.
+ */
+export function archivePaths(images, { byPreset = false } = {}) {
+  const taken = new Set();
+  const paths = {};
+
+  images.forEach(image => {
+    const base = byPreset ? `${presetFolder(image)}/${image.filename}` : image.filename;
+    let path = base;
+    for (let n = 2; taken.has(path); n++) {
+      path = base.replace(/(\.[^./]+)?$/, `-${n}$1`);
+    }
+    taken.add(path);
+    paths[image.id] = path;
+  });
+
+  return paths;
+}
+
+/**
+ * One manifest row per image
+ */
+export function buildManifest(images, paths) {
+  return images.map(image => ({
+    original_filename: image.originalName,
+    output_filename: paths[image.id],
+    width: Math.round(image.width),
+    height: Math.round(image.height),
+    bytes: image.size,
+    format: image.format,
+    preset: image.preset || '',
+  }));
+}
+
+/**
+ * ZIP of the processed images (stored uncompressed; they already are) plus
+ * an optional manifest.csv / manifest.json at the root
+ */
+export async function buildImageZip(images, { byPreset = false, manifest = 'csv' } = {}) {
+  const paths = archivePaths(images, { byPreset });
+  const files = {};
+
+  for (const image of images) {
+    files[paths[image.id]] = [new Uint8Array(await image.blob.arrayBuffer()), { level: 0 }];
+  }
+
+  const rows = buildManifest(images, paths);
+  const encoder = new TextEncoder();
+  if (manifest === 'csv') files['manifest.csv'] = encoder.encode(Papa.unparse(rows));
+  if (manifest === 'json') files['manifest.json'] = encoder.encode(JSON.stringify(rows, null, 2));
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
@@ -0,0 +1,102 @@
+// Attaching uploaded images to CMS items: match processed images to items by
+// filename and write them into an Image or MultiImage field
+
+import { slugify } from './referenceResolver';
+import { isPublished } from './itemUpdates';
+
+export const IMAGE_FIELD_TYPES = ['Image', 'MultiImage'];
+
+// Trailing tokens the filename pattern adds: {size}, {width}/{height} when
+// unknown ("auto") and {date}
+const GENERATED_SUFFIX = /-(\d+x\d+|auto|autoxauto|\d{4}-\d{2}-\d{2})$/;
+
+function fileSlug(fileName) {
+  return slugify(fileName.replace(/\.[^/.]+$/, ''));
+}
+
+// Slug candidates for an output file name: the whole name, then the name with
+// generated suffixes removed ("jane-doe-1920x1080.webp" gives jane-doe-1920x1080, jane-doe)
+function slugCandidates(fileName) {
+  const candidates = [fileSlug(fileName)];
+  let slug = candidates[0];
+  while (GENERATED_SUFFIX.test(slug)) {
+    slug = slug.replace(GENERATED_SUFFIX, '');
+    candidates.push(slug);
+  }
+  return candidates;
+}
+
+/**
+ * Find the item whose slug matches each image's original or output file name.
+ * images: [{ id, filename, originalName }]. Returns { [imageId]: itemId }.
+ */
+export function matchImagesToItems(images, items) {
+  const bySlug = Object.fromEntries(items.map(item => [item.fieldData?.slug, item.id]));
+  const matches = {};
+
+  images.forEach(image => {
+    const candidates = [
+      ...(image.originalName ? [fileSlug(image.originalName)] : []),
+      ...slugCandidates(image.filename),
+    ];
+    const slug = candidates.find(candidate => bySlug[candidate]);
+    if (slug) matches[image.id] = bySlug[slug];
+  });
+
+  return matches;
+}
+
+/**
+ * Field values per item for the bindings ([{ imageId, itemId, asset, alt }]).
+ * Image fields take the last image bound to the item; MultiImage fields keep
+ * the item's current images and append the new ones.
+ * Returns [{ item, imageIds, fieldData }].
+ */
+export function buildImageUpdates(bindings, items, field) {
+  const itemsById = Object.fromEntries(items.map(item => [item.id, item]));
+  const byItem = new Map();
+
+  bindings.forEach(binding => {
+    const item = itemsById[binding.itemId];
+    if (!item) return;
+    if (!byItem.has(item.id)) byItem.set(item.id, { item, imageIds: [], images: [] });
+    const entry = byItem.get(item.id);
+    entry.imageIds.push(binding.imageId);
+    entry.images.push({
+      fileId: binding.asset.id,
+      url: binding.asset.url,
+      ...(binding.alt ? { alt: binding.alt } : {}),
+    });
+  });
+
+  return [...byItem.values()].map(({ item, imageIds, images }) => {
+    if (field.type !== 'MultiImage') {
+      return { item, imageIds, fieldData: { [field.slug]: images[images.length - 1] } };
+    }
+    const current = item.fieldData?.[field.slug] || [];
+    const added = images.filter(image => !current.some(c => c.url === image.url));
+    return { item, imageIds, fieldData: { [field.slug]: [...current, ...added] } };
+  });
+}
+
+/**
+ * Write the images into their items with updateItem, live for published items
+ * and staged otherwise. Returns { saved: { [itemId]: item }, failed: { [imageId]: message } }.
+ */
+export async function attachImages(client, collectionId, field, bindings, items, onProgress = null) {
+  const updates = buildImageUpdates(bindings, items, field);
+  const saved = {};
+  const failed = {};
+
+  for (const [i, { item, imageIds, fieldData }] of updates.entries()) {
+    if (onProgress) onProgress({ message: `Updating item ${i + 1} of ${updates.length}: ${item.fieldData?.name}` });
+    try {
+      const data = await client.updateItem(collectionId, item.id, fieldData, isPublished(item));
+      saved[item.id] = data?.id ? data : { ...item, fieldData: { ...item.fieldData, ...fieldData } };
+    } catch (err) {
+      imageIds.forEach(id => { failed[id] = err.message; });
+    }
+  }
+
+  return { saved, failed };
+}
@@ -137,6 +137,117 @@ export function processCroppedImage(cropper, options = {}) {
   });
 }
 
+/**
+ * Crop centered on an image at the given aspect ratio, covering `coverage` of
+ * the largest box that fits (like Cropper.js's autoCropArea). Uses the same
+ * shape as Cropper's getData().
+ */
+export function centeredCrop(imageWidth, imageHeight, aspectRatio, coverage = 0.9) {
+  let width = imageWidth;
+  let height = imageHeight;
+  if (aspectRatio) {
+    if (imageWidth / imageHeight > aspectRatio) {
+      width = imageHeight * aspectRatio;
+    } else {
+      height = imageWidth / aspectRatio;
+    }
+  }
+  width = Math.round(width * coverage);
+  height = Math.round(height * coverage);
+
+  return {
+    x: Math.round((imageWidth - width) / 2),
+    y: Math.round((imageHeight - height) / 2),
+    width,
+    height,
+    rotate: 0,
+    scaleX: 1,
+    scaleY: 1,
+  };
+}
+
+/**
+ * Render stored crop data (Cropper.js getData() coordinates, including rotate
+ * and flips) from an image file on an off-screen canvas. The output fits
+ * within width × height keeping the crop's aspect ratio, as getCroppedCanvas
+ * does. Returns the same shape as processCroppedImage.
+ */
+export async function renderCrop(file, crop, options = {}) {
+  const {
+    width,
+    height,
+    quality = 0.85,
+    format = 'webp',
+  } = options;
+
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+  // Rotate and flip the whole image first, as Cropper does before cropping
+  const radians = ((crop.rotate || 0) * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  const source = document.createElement('canvas');
+  source.width = Math.round(bitmap.width * cos + bitmap.height * sin);
+  source.height = Math.round(bitmap.width * sin + bitmap.height * cos);
+  const sourceCtx = source.getContext('2d');
+  sourceCtx.translate(source.width / 2, source.height / 2);
+  sourceCtx.rotate(radians);
+  sourceCtx.scale(crop.scaleX || 1, crop.scaleY || 1);
+  sourceCtx.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+  bitmap.close();
+
+  const cropAspect = crop.width / crop.height;
+  let outputWidth = crop.width;
+  let outputHeight = crop.height;
+  if (width && height) {
+    if (width / height > cropAspect) {
+      outputHeight = height;
+      outputWidth = height * cropAspect;
+    } else {
+      outputWidth = width;
+      outputHeight = width / cropAspect;
+    }
+  } else if (width) {
+    outputWidth = width;
+    outputHeight = width / cropAspect;
+  } else if (height) {
+    outputHeight = height;
+    outputWidth = height * cropAspect;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(outputWidth);
+  canvas.height = Math.round(outputHeight);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+  const mimeType = format === 'webp' ? 'image/webp' :
+                   format === 'png' ? 'image/png' : 'image/jpeg';
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (blob) {
+          resolve({
+            blob,
+            width: canvas.width,
+            height: canvas.height,
+            size: blob.size,
+            format,
+            url: URL.createObjectURL(blob),
+          });
+        } else {
+          reject(new Error('Failed to create image blob'));
+        }
+      },
+      mimeType,
+      quality
+    );
+  });
+}
+
 /**
  * Generate filename with pattern
  */
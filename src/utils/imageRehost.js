@@ -0,0 +1,96 @@
+// Re-hosting image URLs during imports: download each image, optimize it with
+// the image processor's pipeline and upload the result to Webflow Assets
+
+import { IMAGE_PRESETS, QUALITY_PRESETS, processImage, generateFilename } from './imageProcessing';
+import { uploadAsset } from './assetUpload';
+
+// Size presets for re-hosted images; 'original' keeps the source dimensions
+export const REHOST_PRESETS = {
+  original: { width: null, height: null, label: 'Original size' },
+  ...Object.fromEntries(Object.entries(IMAGE_PRESETS).filter(([key]) => key !== 'custom')),
+};
+
+export const DEFAULT_REHOST_OPTIONS = { preset: 'gallery', quality: 'balanced', format: 'webp' };
+
+// File name of a URL's last path segment, without query string
+function urlFileName(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    return name || 'image';
+  } catch {
+    return 'image';
+  }
+}
+
+/**
+ * Download, optimize and upload one image. Returns { fileId, url }.
+ */
+export async function rehostImage(client, siteId, sourceUrl, options = DEFAULT_REHOST_OPTIONS) {
+  let response;
+  try {
+    response = await fetch(sourceUrl);
+  } catch {
+    throw new Error(`couldn't download ${sourceUrl} (unreachable, or the host blocks cross-origin requests)`);
+  }
+  if (!response.ok) throw new Error(`couldn't download ${sourceUrl} (${response.status})`);
+  const source = await response.blob();
+  if (!source.type.startsWith('image/')) throw new Error(`${sourceUrl} is not an image (${source.type || 'unknown type'})`);
+
+  const { width, height } = REHOST_PRESETS[options.preset] || REHOST_PRESETS.original;
+  const processed = await processImage(source, {
+    width,
+    height,
+    quality: QUALITY_PRESETS[options.quality].quality,
+    format: options.format,
+  });
+  const fileName = generateFilename(width ? '{name}-{size}' : '{name}', urlFileName(sourceUrl), {
+    format: options.format,
+    width: Math.round(processed.width),
+    height: Math.round(processed.height),
+  });
+
+  const asset = await uploadAsset(client, siteId, processed.blob, fileName);
+  return { fileId: asset.id, url: asset.url };
+}
+
+/**
+ * Re-host the Image / MultiImage values of coerced rows ({ index, data, errors }).
+ * Rows that already have errors are left alone; a failed image adds a row error.
+ * The same URL is only processed once per run.
+ */
+export async function rehostRowImages(client, siteId, rows, imageFields, options = DEFAULT_REHOST_OPTIONS, onProgress = null) {
+  const cache = new Map();
+  const pending = rows.filter(row => row.errors.length === 0 && imageFields.some(f => row.data[f.slug]));
+  let done = 0;
+
+  const rehost = (url) => {
+    if (!cache.has(url)) cache.set(url, rehostImage(client, siteId, url, options));
+    return cache.get(url);
+  };
+
+  const rehosted = new Map();
+  for (const row of pending) {
+    if (onProgress) onProgress({ phase: 'images', message: `Re-hosting images for row ${row.index + 1} (${++done} of ${pending.length})...` });
+    const data = { ...row.data };
+    const errors = [];
+
+    for (const field of imageFields) {
+      const value = data[field.slug];
+      if (!value) continue;
+      const images = Array.isArray(value) ? value : [value];
+      const results = [];
+      for (const image of images) {
+        try {
+          results.push({ ...(await rehost(image.url)), ...(image.alt ? { alt: image.alt } : {}) });
+        } catch (err) {
+          errors.push({ message: `${field.displayName || field.slug}: ${err.message}` });
+        }
+      }
+      data[field.slug] = Array.isArray(value) ? results : results[0];
+    }
+
+    rehosted.set(row.index, { ...row, data, errors: [...row.errors, ...errors] });
+  }
+
+  return rows.map(row => rehosted.get(row.index) || row);
+}
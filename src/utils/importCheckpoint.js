@@ -0,0 +1,92 @@
+// Import checkpoints: track which rows of a file have been committed so an
+// interrupted live import can be resumed without duplicating items
+
+const STORAGE_PREFIX = 'webflow_import_checkpoint:';
+
+/**
+ * SHA-256 of a file's contents, used to recognize the same file when it's dropped in again
+ */
+export async function hashFile(file) {
+  const buffer = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Start a checkpoint for a live run
+ */
+export function createCheckpoint({
+  fileHash,
+  fileName,
+  collection,
+  fieldMapping,
+  isUpdateMode,
+  isSyncMode = false,
+  syncAction = null,
+  matchFields = [],
+  publishTarget = 'live',
+  rehostOptions = null,
+  locale,
+  total,
+  previous = null,
+}) {
+  return {
+    fileHash,
+    fileName,
+    collectionId: collection.id,
+    collectionName: collection.displayName || collection.name,
+    fieldMapping,
+    isUpdateMode,
+    isSyncMode,
+    syncAction,
+    matchFields,
+    publishTarget,
+    rehostOptions,
+    locale,
+    total,
+    // Rows committed by an earlier, interrupted session carry over, along with
+    // the items they created so the resumed run can journal them
+    processedRows: [...(previous?.processedRows || [])],
+    createdItems: [...(previous?.createdItems || [])],
+    startedAt: previous?.startedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function loadCheckpoint(fileHash) {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + fileHash);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveCheckpoint(checkpoint) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + checkpoint.fileHash, JSON.stringify({
+      ...checkpoint,
+      updatedAt: new Date().toISOString(),
+    }));
+  } catch (err) {
+    console.error('Failed to save import checkpoint:', err);
+  }
+}
+
+export function clearCheckpoint(fileHash) {
+  localStorage.removeItem(STORAGE_PREFIX + fileHash);
+}
+
+/**
+ * Record rows committed by a batch. `committed` is [{ index, id, action }]
+ * with source row indexes.
+ */
+export function recordCommitted(checkpoint, committed) {
+  checkpoint.processedRows.push(...committed.map(c => c.index));
+  checkpoint.createdItems.push(
+    ...committed.filter(c => c.action === 'created' && c.id).map(c => ({ index: c.index, id: c.id }))
+  );
+  saveCheckpoint(checkpoint);
+}
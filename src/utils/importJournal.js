@@ -0,0 +1,181 @@
+// Import journal: records what a live import changed so it can be reverted.
+// Journals are kept in IndexedDB and can be downloaded as JSON.
+
+const DB_NAME = 'webflow-cms-toolkit';
+const DB_VERSION = 1;
+const STORE = 'importJournals';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = callback(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+/**
+ * Build a journal from the results of a live import.
+ * `stubs` are referenced items created in other collections during the run;
+ * `removed` are items a full sync archived, drafted or deleted.
+ */
+export function buildJournal({ site, collection, fileName, isLive, results, stubs = [], removed = [] }) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    createdAt: new Date().toISOString(),
+    siteId: site?.id || null,
+    collectionId: collection.id,
+    collectionName: collection.displayName || collection.name,
+    fileName,
+    isLive,
+    updated: results
+      .filter(r => r.action === 'updated' && r.previous)
+      .map(r => ({
+        id: r.itemId || r.data?.id,
+        index: r.index,
+        changedFields: r.changedFields,
+        before: r.previous,
+      })),
+    created: [
+      ...results
+        .filter(r => r.action === 'created')
+        .map(r => ({ id: r.data?.id, index: r.index, collectionId: collection.id })),
+      ...stubs.map(s => ({ id: s.id, index: s.index, collectionId: s.collectionId })),
+    ].filter(c => c.id),
+    removed,
+    revertedAt: null,
+  };
+}
+
+export function saveJournal(journal) {
+  return withStore('readwrite', store => store.put(journal));
+}
+
+/**
+ * All journals, newest first, optionally limited to one site
+ */
+export async function listJournals(siteId = null) {
+  const journals = await withStore('readonly', store => store.getAll());
+  return (journals || [])
+    .filter(j => !siteId || j.siteId === siteId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Download a journal as JSON
+ */
+export function downloadJournal(journal) {
+  const blob = new Blob([JSON.stringify(journal, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `import-journal-${journal.createdAt.replace(/[:.]/g, '-')}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Undo an import: restore the changed fields of updated items to their
+ * previous values, delete the items it created and bring back items a full
+ * sync removed (deleted items are recreated with new IDs), publishing the
+ * ones that were live before.
+ * Returns { restored, deleted, errors }.
+ */
+export async function revertJournal(client, journal, onProgress = null) {
+  const restoreEntries = journal.updated.map(entry => ({
+    id: entry.id,
+    fieldData: Object.fromEntries(
+      (entry.changedFields || Object.keys(entry.before)).map(field => [field, entry.before[field] ?? null])
+    ),
+  }));
+
+  if (onProgress) onProgress({ phase: 'reverting', message: `Restoring ${restoreEntries.length} updated items...` });
+  const restore = await client.updateItems(journal.collectionId, restoreEntries, journal.isLive, onProgress);
+  let restored = restore.results.length;
+
+  // Group created items by collection (reference stubs live in other collections)
+  const createdByCollection = {};
+  journal.created.forEach(c => {
+    (createdByCollection[c.collectionId] ||= []).push(c.id);
+  });
+
+  let deleted = 0;
+  const deleteErrors = [];
+  for (const [collectionId, ids] of Object.entries(createdByCollection)) {
+    if (onProgress) onProgress({ phase: 'reverting', message: `Deleting ${ids.length} created items...` });
+    const result = await client.deleteItems(collectionId, ids, journal.isLive, onProgress);
+    deleted += result.results.length;
+    deleteErrors.push(...result.errors.map(e => ({ id: ids[e.index], action: 'delete', error: e.error })));
+  }
+
+  // Bring back items removed by a full sync
+  const removed = journal.removed || [];
+  const unarchive = removed.filter(r => r.action === 'archive').map(r => r.id);
+  const undraft = removed.filter(r => r.action === 'draft').map(r => r.id);
+  const recreate = removed.filter(r => r.action === 'delete');
+  const removedErrors = [];
+  // Restored items that were live before the sync are published again
+  const republish = [];
+  const wasPublished = (id) => removed.some(r => r.id === id && r.wasPublished);
+
+  if (removed.length > 0 && onProgress) {
+    onProgress({ phase: 'reverting', message: `Restoring ${removed.length} removed items...` });
+  }
+  if (unarchive.length > 0) {
+    const result = await client.setItemsStatus(journal.collectionId, unarchive, { isArchived: false }, onProgress);
+    restored += result.results.length;
+    removedErrors.push(...result.errors.map(e => ({ id: unarchive[e.index], action: 'unarchive', error: e.error })));
+    republish.push(...result.results.map(r => unarchive[r.index]).filter(wasPublished));
+  }
+  if (undraft.length > 0) {
+    const result = await client.setItemsStatus(journal.collectionId, undraft, { isDraft: false }, onProgress);
+    restored += result.results.length;
+    removedErrors.push(...result.errors.map(e => ({ id: undraft[e.index], action: 'undraft', error: e.error })));
+    republish.push(...result.results.map(r => undraft[r.index]).filter(wasPublished));
+  }
+  if (recreate.length > 0) {
+    const result = await client.createItems(journal.collectionId, recreate.map(r => r.before), journal.isLive, onProgress);
+    restored += result.results.length;
+    removedErrors.push(...result.errors.map(e => ({ id: recreate[e.index].id, action: 'recreate', error: e.error })));
+    // Recreated items are already live when the journal writes live
+    if (!journal.isLive) {
+      republish.push(...result.results.filter(r => recreate[r.index].wasPublished).map(r => r.itemId || r.data?.id).filter(Boolean));
+    }
+  }
+  if (republish.length > 0) {
+    if (onProgress) onProgress({ phase: 'reverting', message: `Publishing ${republish.length} restored items...` });
+    const result = await client.publishItems(journal.collectionId, republish, onProgress);
+    removedErrors.push(...result.errors.map(e => ({ id: republish[e.index], action: 'publish', error: e.error })));
+  }
+
+  const errors = [
+    ...restore.errors.map(e => ({ id: restoreEntries[e.index].id, action: 'restore', error: e.error })),
+    ...deleteErrors,
+    ...removedErrors,
+  ];
+
+  await saveJournal({ ...journal, revertedAt: new Date().toISOString(), revertErrors: errors });
+
+  return { restored, deleted, errors };
+}
@@ -0,0 +1,180 @@
+// Import planning: matches incoming rows to existing items and diffs their field data
+
+// Items are matched by slug unless another match key is chosen
+export const DEFAULT_MATCH_FIELDS = ['slug'];
+
+function keyPart(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(keyPart).sort().join(',');
+  if (typeof value === 'object') return value.url || value.id || JSON.stringify(value);
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Build the match key for a row's field data from one or more fields.
+ * Values are compared case-insensitively; returns null if any part is blank.
+ */
+export function getMatchKey(fieldData, matchFields = DEFAULT_MATCH_FIELDS) {
+  const parts = matchFields.map(field => keyPart(fieldData?.[field]));
+  return parts.some(p => p === '') ? null : parts.join(' | ');
+}
+
+/**
+ * Build ID and match-key lookups for a collection's existing items.
+ * duplicates lists keys shared by more than one existing item.
+ */
+export function buildItemIndex(existingItems, matchFields = DEFAULT_MATCH_FIELDS) {
+  const byId = new Map();
+  const byKey = new Map();
+  const duplicates = new Map();
+
+  for (const item of existingItems) {
+    byId.set(item.id, item);
+    const key = getMatchKey(item.fieldData, matchFields);
+    if (key === null) continue;
+    if (byKey.has(key)) {
+      if (!duplicates.has(key)) duplicates.set(key, [byKey.get(key)]);
+      duplicates.get(key).push(item);
+    } else {
+      byKey.set(key, item);
+    }
+  }
+
+  return { byId, byKey, duplicates, matchFields };
+}
+
+/**
+ * Find the existing item an incoming row refers to, matching by id first,
+ * then by match key (the first existing item wins when a key is duplicated)
+ */
+export function matchItem(index, row) {
+  if (row.id && index.byId.has(row.id)) return index.byId.get(row.id);
+  const key = getMatchKey(row, index.matchFields);
+  return key !== null ? index.byKey.get(key) || null : null;
+}
+
+/**
+ * Match keys that appear on more than one incoming row.
+ * Returns [{ key, rows: [row positions] }].
+ */
+export function findDuplicateKeys(rows, matchFields = DEFAULT_MATCH_FIELDS) {
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    const key = getMatchKey(row, matchFields);
+    if (key === null) return;
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push(i);
+  });
+  return [...seen.entries()]
+    .filter(([, positions]) => positions.length > 1)
+    .map(([key, positions]) => ({ key, rows: positions }));
+}
+
+/**
+ * Existing items that no incoming row matches by id or match key
+ * (the items a full sync would remove)
+ */
+export function findMissingItems(existingItems, rows, matchFields = DEFAULT_MATCH_FIELDS) {
+  const ids = new Set(rows.map(r => r.id).filter(Boolean));
+  const keys = new Set(rows.map(r => getMatchKey(r, matchFields)).filter(k => k !== null));
+  return existingItems.filter(item =>
+    !ids.has(item.id) && !keys.has(getMatchKey(item.fieldData, matchFields))
+  );
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Compare an incoming value with the value Webflow currently stores.
+ * Objects (images, files) only compare the keys the incoming value sets.
+ */
+export function valuesEqual(existing, incoming) {
+  if (isBlank(existing) && isBlank(incoming)) return true;
+  if (isBlank(existing) || isBlank(incoming)) return false;
+
+  if (Array.isArray(incoming)) {
+    if (!Array.isArray(existing) || existing.length !== incoming.length) return false;
+    return incoming.every((value, i) => valuesEqual(existing[i], value));
+  }
+
+  if (typeof incoming === 'object') {
+    if (typeof existing !== 'object') return false;
+    return Object.keys(incoming).every(key => valuesEqual(existing[key], incoming[key]));
+  }
+
+  if (typeof incoming === 'number' || typeof existing === 'number') {
+    return Number(existing) === Number(incoming);
+  }
+
+  if (typeof incoming === 'boolean' || typeof existing === 'boolean') {
+    return String(existing) === String(incoming);
+  }
+
+  if (ISO_DATE.test(existing) && ISO_DATE.test(incoming)) {
+    return new Date(existing).getTime() === new Date(incoming).getTime();
+  }
+
+  if (String(incoming).startsWith('#') && String(existing).startsWith('#')) {
+    return String(existing).toLowerCase() === String(incoming).toLowerCase();
+  }
+
+  return String(existing) === String(incoming);
+}
+
+/**
+ * List the fields whose incoming value differs from the existing item.
+ * Returns [{ field, before, after }].
+ */
+export function diffFieldData(existingFieldData = {}, incomingFieldData = {}) {
+  return Object.entries(incomingFieldData)
+    .filter(([field, value]) => !valuesEqual(existingFieldData[field], value))
+    .map(([field, value]) => ({ field, before: existingFieldData[field], after: value }));
+}
+
+/**
+ * Classify each incoming row against the existing items (matched by id, then
+ * by the match key).
+ * In upsert mode rows are 'create', 'update' or 'unchanged'; in create-only
+ * mode every row is 'create' and rows that match an existing item are flagged
+ * as duplicates.
+ */
+export function planImport(existingItems, rows, { upsert = true, matchFields = DEFAULT_MATCH_FIELDS } = {}) {
+  const index = buildItemIndex(existingItems, matchFields);
+
+  return rows.map((row, i) => {
+    const { id, ...fieldData } = row;
+    const existing = matchItem(index, row);
+
+    if (!upsert) {
+      return { index: i, action: 'create', duplicateOf: existing?.id || null, changes: [] };
+    }
+    if (!existing) {
+      return { index: i, action: 'create', existingId: null, changes: [] };
+    }
+
+    const changes = diffFieldData(existing.fieldData, fieldData);
+    return {
+      index: i,
+      action: changes.length > 0 ? 'update' : 'unchanged',
+      existingId: existing.id,
+      changes,
+    };
+  });
+}
+
+/**
+ * Render a field value for display in a diff
+ */
+export function formatDiffValue(value) {
+  if (isBlank(value)) return '—';
+  if (typeof value === 'object') {
+    if (Array.isArray(value)) return value.map(formatDiffValue).join(', ');
+    return value.url || JSON.stringify(value);
+  }
+  return String(value);
+}
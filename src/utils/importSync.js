@@ -0,0 +1,65 @@
+// Full sync: removes existing items that no longer appear in the source file
+
+export const SYNC_ACTIONS = {
+  archive: { label: 'Archive', past: 'archived', description: 'Archive and unpublish missing items' },
+  draft: { label: 'Set to Draft', past: 'set to draft', description: 'Move missing items to draft and unpublish them' },
+  delete: { label: 'Delete', past: 'deleted', description: 'Permanently delete missing items' },
+};
+
+/**
+ * Drop missing items the action wouldn't change (already archived / drafted)
+ */
+export function itemsToRemove(missingItems, action) {
+  if (action === 'archive') return missingItems.filter(item => !item.isArchived);
+  if (action === 'draft') return missingItems.filter(item => !item.isDraft && !item.isArchived);
+  return missingItems;
+}
+
+/**
+ * Archive, draft or delete the given items, taking published ones off the live site.
+ * Published items that couldn't be unpublished aren't deleted.
+ * Returns { removed, errors } where removed entries keep each item's prior
+ * field data for the import journal.
+ */
+export async function applySyncAction(client, collectionId, items, action, onProgress = null) {
+  const ids = items.map(item => item.id);
+  const isPublished = (item) => !!item.lastPublished;
+  const errors = [];
+
+  let result;
+  let targets = items;
+  if (action === 'delete') {
+    const published = items.filter(isPublished).map(item => item.id);
+    if (published.length > 0) {
+      const unpublish = await client.unpublishItems(collectionId, published, onProgress);
+      errors.push(...unpublish.errors.map(e => ({ id: published[e.index], error: `Not deleted, couldn't unpublish: ${e.error}` })));
+    }
+    const stillLive = new Set(errors.map(e => e.id));
+    targets = items.filter(item => !stillLive.has(item.id));
+    result = await client.deleteItems(collectionId, targets.map(item => item.id), false, onProgress);
+  } else {
+    const status = action === 'archive' ? { isArchived: true } : { isDraft: true };
+    result = await client.setItemsStatus(collectionId, ids, status, onProgress);
+
+    const published = result.results.map(r => items[r.index]).filter(isPublished).map(item => item.id);
+    if (published.length > 0) {
+      const unpublish = await client.unpublishItems(collectionId, published, onProgress);
+      errors.push(...unpublish.errors.map(e => ({ id: published[e.index], error: `Item ${SYNC_ACTIONS[action].past}, but couldn't unpublish: ${e.error}` })));
+    }
+  }
+
+  errors.push(...result.errors.map(e => ({ id: targets[e.index].id, error: e.error })));
+
+  return {
+    removed: result.results.map(r => {
+      const item = targets[r.index];
+      return {
+        id: item.id,
+        action,
+        wasPublished: isPublished(item),
+        before: item.fieldData,
+      };
+    }),
+    errors,
+  };
+}
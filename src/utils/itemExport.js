@@ -0,0 +1,81 @@
+// Flat CSV / Excel export of collection items, in the shape DataImporter reads
+// back in: one column per field slug plus the item id
+
+import Papa from 'papaparse';
+import writeXlsxFile from 'write-excel-file/browser';
+import { getReferenceTargets } from './referenceResolver';
+
+/**
+ * Map referenced item IDs to their slugs, for every collection the fields point at
+ */
+export async function loadReferenceSlugs(client, fields) {
+  const slugs = {};
+  for (const collectionId of getReferenceTargets(fields)) {
+    const items = await client.getAllItems(collectionId);
+    items.forEach(item => {
+      slugs[item.id] = item.fieldData?.slug || item.id;
+    });
+  }
+  return slugs;
+}
+
+/**
+ * Flatten one field value: references become slugs, images and files their
+ * URLs and options their labels. Lists are joined so the importer's list
+ * splitting reads them back (URLs use ";" since they may contain commas).
+ */
+export function exportValue(field, value, referenceSlugs = {}) {
+  if (value === undefined || value === null) return null;
+
+  switch (field.type) {
+    case 'Reference':
+      return referenceSlugs[value] || value;
+    case 'MultiReference':
+      return value.map(id => referenceSlugs[id] || id).join(', ');
+    case 'Image':
+    case 'File':
+      return value.url || null;
+    case 'MultiImage':
+      return value.map(image => image.url).filter(Boolean).join('; ');
+    case 'Option':
+      return field.validations?.options?.find(o => o.id === value)?.name || value;
+    case 'Number':
+    case 'Switch':
+      return value;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * Header row and value rows for the items
+ */
+export function buildExportRows(items, fields, referenceSlugs = {}) {
+  const columns = ['id', ...fields.map(f => f.slug)];
+  const rows = items.map(item => [
+    item.id,
+    ...fields.map(field => exportValue(field, item.fieldData?.[field.slug], referenceSlugs)),
+  ]);
+  return { columns, rows };
+}
+
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadItemsCsv(items, fields, referenceSlugs, fileName) {
+  const { columns, rows } = buildExportRows(items, fields, referenceSlugs);
+  const csv = Papa.unparse({ fields: columns, data: rows.map(row => row.map(value => value ?? '')) });
+  download(new Blob([csv], { type: 'text/csv' }), fileName);
+}
+
+export async function downloadItemsXlsx(items, fields, referenceSlugs, fileName) {
+  const { columns, rows } = buildExportRows(items, fields, referenceSlugs);
+  const blob = await writeXlsxFile([columns, ...rows]).toBlob();
+  download(blob, fileName);
+}
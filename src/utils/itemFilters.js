@@ -0,0 +1,130 @@
+// Client-side filtering, search and sorting of collection items
+
+import { isPublished } from './itemUpdates';
+
+export const STATUS_FILTERS = {
+  all: { label: 'All statuses' },
+  published: { label: 'Published' },
+  staged: { label: 'Not published' },
+  draft: { label: 'Draft' },
+  archived: { label: 'Archived' },
+};
+
+export const FIELD_OPERATORS = {
+  contains: { label: 'contains' },
+  equals: { label: 'equals' },
+  empty: { label: 'is empty', noValue: true },
+  notEmpty: { label: 'is not empty', noValue: true },
+};
+
+export const EMPTY_FILTERS = {
+  search: '',
+  status: 'all',
+  field: '',
+  operator: 'contains',
+  value: '',
+  updatedFrom: '',
+  updatedTo: '',
+};
+
+/**
+ * Text for a field value as shown, searched and sorted: option labels instead
+ * of IDs, URLs for images and files
+ */
+export function displayValue(field, value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(v => displayValue(field, v)).join(', ');
+  if (field?.type === 'Option') {
+    return field.validations?.options?.find(o => o.id === value)?.name || String(value);
+  }
+  if (typeof value === 'object') return value.url || value.id || JSON.stringify(value);
+  return String(value);
+}
+
+// Staged items that have never been published are 'staged', as in isPublished
+export function itemStatus(item) {
+  if (item.isArchived) return 'archived';
+  if (item.isDraft) return 'draft';
+  return isPublished(item) ? 'published' : 'staged';
+}
+
+function matchesField(item, field, operator, value) {
+  const text = displayValue(field, item.fieldData?.[field.slug]).toLowerCase();
+  const wanted = String(value).trim().toLowerCase();
+  switch (operator) {
+    case 'equals': return text === wanted;
+    case 'empty': return text === '';
+    case 'notEmpty': return text !== '';
+    default: return text.includes(wanted);
+  }
+}
+
+/**
+ * Apply the filters to a list of items. Date bounds are inclusive days in
+ * local time (YYYY-MM-DD, as given by a date input).
+ */
+export function filterItems(items, filters, fields) {
+  const { search, status, field, operator, value, updatedFrom, updatedTo } = { ...EMPTY_FILTERS, ...filters };
+  const fieldsBySlug = Object.fromEntries(fields.map(f => [f.slug, f]));
+  const filterField = fieldsBySlug[field];
+  const terms = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const from = updatedFrom ? new Date(`${updatedFrom}T00:00:00`).getTime() : null;
+  const to = updatedTo ? new Date(`${updatedTo}T23:59:59.999`).getTime() : null;
+
+  return items.filter(item => {
+    if (status !== 'all' && itemStatus(item) !== status) return false;
+
+    if (from !== null || to !== null) {
+      const updated = item.lastUpdated ? new Date(item.lastUpdated).getTime() : null;
+      if (updated === null) return false;
+      if (from !== null && updated < from) return false;
+      if (to !== null && updated > to) return false;
+    }
+
+    if (filterField && (FIELD_OPERATORS[operator]?.noValue || value !== '')) {
+      if (!matchesField(item, filterField, operator, value)) return false;
+    }
+
+    // Every search term has to appear in some field
+    if (terms.length > 0) {
+      const haystack = Object.entries(item.fieldData || {})
+        .map(([slug, v]) => displayValue(fieldsBySlug[slug], v))
+        .join(' ')
+        .toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Sort items by a field slug or by 'status' / 'lastUpdated'. Blank values
+ * always sort last.
+ */
+export function sortItems(items, { key, direction = 'asc' }, fields) {
+  if (!key) return items;
+  const field = fields.find(f => f.slug === key);
+  const sign = direction === 'desc' ? -1 : 1;
+
+  const valueOf = (item) => {
+    if (key === 'status') return itemStatus(item);
+    if (key === 'lastUpdated') return item.lastUpdated ? new Date(item.lastUpdated).getTime() : null;
+    const raw = item.fieldData?.[key];
+    if (raw === undefined || raw === null || raw === '') return null;
+    if (field?.type === 'Number') return Number(raw);
+    if (field?.type === 'DateTime') return new Date(raw).getTime();
+    if (field?.type === 'Switch') return raw ? 1 : 0;
+    return displayValue(field, raw).toLowerCase();
+  };
+
+  return [...items]
+    .map(item => ({ item, value: valueOf(item) }))
+    .sort((a, b) => {
+      if (a.value === null) return b.value === null ? 0 : 1;
+      if (b.value === null) return -1;
+      if (typeof a.value === 'number' && typeof b.value === 'number') return (a.value - b.value) * sign;
+      return String(a.value).localeCompare(String(b.value), undefined, { numeric: true }) * sign;
+    })
+    .map(entry => entry.item);
+}
@@ -0,0 +1,45 @@
+// Saving edits to existing items from the CMS manager
+
+/**
+ * Whether an item has a live version that edits should reach
+ */
+export function isPublished(item) {
+  return !!item.lastPublished && !item.isDraft;
+}
+
+/**
+ * Update items in bulk, writing published items live and leaving drafts and
+ * never-published items staged. entries: [{ id, fieldData }].
+ * Returns { saved: { [id]: item }, failed: { [id]: message } } where saved
+ * holds the updated item (or the merged field data if Webflow didn't echo it).
+ */
+export async function saveItemUpdates(client, collectionId, entries, items, onProgress = null) {
+  const itemsById = Object.fromEntries(items.map(item => [item.id, item]));
+  const groups = [
+    { isLive: true, entries: entries.filter(e => isPublished(itemsById[e.id])) },
+    { isLive: false, entries: entries.filter(e => !isPublished(itemsById[e.id])) },
+  ];
+
+  const saved = {};
+  const failed = {};
+  for (const { isLive, entries: group } of groups) {
+    if (group.length === 0) continue;
+    const result = await client.updateItems(collectionId, group, isLive, onProgress);
+    result.results.forEach(r => {
+      const { id, fieldData } = group[r.index];
+      saved[id] = r.data || { fieldData: { ...itemsById[id].fieldData, ...fieldData } };
+    });
+    result.errors.forEach(e => {
+      failed[group[e.index].id] = e.error;
+    });
+  }
+
+  return { saved, failed };
+}
+
+/**
+ * Merge saved items back into a list
+ */
+export function mergeSavedItems(items, saved) {
+  return items.map(item => (saved[item.id] ? { ...item, ...saved[item.id] } : item));
+}
@@ -0,0 +1,121 @@
+// Request scheduling for the Webflow API: runs calls one at a time, paces them
+// from Webflow's rate-limit headers and retries throttled or failed requests
+
+const WINDOW_MS = 60000;
+const MAX_BACKOFF_MS = 30000;
+const BASE_BACKOFF_MS = 500;
+
+export const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// PATCH is included because every PATCH this toolkit sends sets absolute values
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with jitter for the given retry attempt (0-based)
+ */
+export function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Serial request queue that adapts to the API's rate limit
+ */
+export class RequestScheduler {
+  constructor({ maxRetries = 5, onWait = null } = {}) {
+    this.maxRetries = maxRetries;
+    this.onWait = onWait;
+    this.limit = null;
+    this.remaining = null;
+    this.pausedUntil = 0;
+    this.lastRequestAt = 0;
+    this.queue = Promise.resolve();
+  }
+
+  // Record the limit and remaining budget reported by the last response
+  updateFromHeaders(headers) {
+    const limit = Number(headers.get('X-RateLimit-Limit'));
+    const remaining = headers.get('X-RateLimit-Remaining');
+    if (limit > 0) this.limit = limit;
+    if (remaining !== null && remaining !== '') this.remaining = Number(remaining);
+  }
+
+  // Milliseconds to wait before the next request may go out
+  getDelay() {
+    const now = Date.now();
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+    if (this.limit === null || this.remaining === null) return 0;
+
+    // Budget exhausted: wait for roughly one request's share of the window
+    const interval = WINDOW_MS / this.limit;
+    if (this.remaining <= 0) return interval;
+
+    // Once into the last quarter of the budget, spread the rest evenly
+    if (this.remaining < this.limit / 4) {
+      return Math.max(0, this.lastRequestAt + interval - now);
+    }
+    return 0;
+  }
+
+  async wait(ms, reason) {
+    if (ms <= 0) return;
+    if (this.onWait) this.onWait({ ms, reason });
+    await sleep(ms);
+  }
+
+  /**
+   * Queue a request. `task` performs the fetch and returns its Response.
+   * Non-idempotent requests are only retried after a 429.
+   */
+  schedule(task, { idempotent = true } = {}) {
+    const run = this.queue.then(() => this.execute(task, idempotent));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async execute(task, idempotent) {
+    for (let attempt = 0; ; attempt++) {
+      await this.wait(this.getDelay(), 'rate-limit');
+      this.lastRequestAt = Date.now();
+
+      let response;
+      try {
+        response = await task();
+      } catch (error) {
+        // Network failure: the request may have reached Webflow, so only retry when safe
+        if (!idempotent || attempt >= this.maxRetries) throw error;
+        await this.wait(backoffDelay(attempt), 'network');
+        continue;
+      }
+
+      this.updateFromHeaders(response.headers);
+
+      if (!RETRYABLE_STATUS.includes(response.status) || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      if (response.status === 429) {
+        // Throttled requests were never processed, so they're always safe to retry
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        this.pausedUntil = Date.now() + (retryAfter ?? backoffDelay(attempt));
+        continue;
+      }
+
+      if (!idempotent) return response;
+      await this.wait(backoffDelay(attempt), 'server-error');
+    }
+  }
+}
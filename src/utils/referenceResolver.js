@@ -0,0 +1,130 @@
+// Reference resolution: translates slugs/names in Reference and MultiReference
+// columns into the Webflow item IDs of the referenced collection
+
+export const REFERENCE_TYPES = ['Reference', 'MultiReference'];
+
+/**
+ * Convert a display name to a Webflow-style slug
+ */
+export function slugify(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build an ID / slug / name lookup for the items of a referenced collection
+ */
+export function buildReferenceLookup(items) {
+  const ids = new Set();
+  const keys = new Map();
+
+  for (const item of items) {
+    ids.add(item.id);
+    const { slug, name } = item.fieldData || {};
+    if (name && !keys.has(name.toLowerCase())) keys.set(name.toLowerCase(), item.id);
+    // Slugs are unique, so they win over a name that happens to match
+    if (slug) keys.set(slug.toLowerCase(), item.id);
+  }
+
+  return { ids, keys };
+}
+
+/**
+ * Find the item ID for a single reference value, or null
+ */
+export function resolveReference(lookup, value) {
+  const str = String(value).trim();
+  if (lookup.ids.has(str)) return str;
+  return lookup.keys.get(str.toLowerCase()) || lookup.keys.get(slugify(str)) || null;
+}
+
+/**
+ * Collection IDs targeted by the given reference fields
+ */
+export function getReferenceTargets(fields) {
+  return [...new Set(
+    fields
+      .filter(f => REFERENCE_TYPES.includes(f.type) && f.validations?.collectionId)
+      .map(f => f.validations.collectionId)
+  )];
+}
+
+/**
+ * Load every referenced collection and build its lookup
+ */
+export async function loadReferenceLookups(client, fields) {
+  const lookups = {};
+  for (const collectionId of getReferenceTargets(fields)) {
+    const items = await client.getAllItems(collectionId);
+    lookups[collectionId] = buildReferenceLookup(items);
+  }
+  return lookups;
+}
+
+/**
+ * Replace reference values in a coerced row with item IDs.
+ * Returns { data, unresolved } where unresolved lists { field, value, collectionId }.
+ */
+export function resolveRowReferences(data, fieldsBySlug, lookups) {
+  const resolved = { ...data };
+  const unresolved = [];
+
+  Object.entries(data).forEach(([slug, value]) => {
+    const field = fieldsBySlug[slug];
+    if (!field || !REFERENCE_TYPES.includes(field.type)) return;
+
+    const collectionId = field.validations?.collectionId;
+    const lookup = lookups[collectionId];
+    if (!lookup) return;
+
+    const values = Array.isArray(value) ? value : [value];
+    const ids = [];
+    values.forEach(v => {
+      const id = resolveReference(lookup, v);
+      if (id) {
+        ids.push(id);
+      } else {
+        unresolved.push({ field: slug, fieldName: field.displayName || slug, value: String(v).trim(), collectionId });
+      }
+    });
+
+    resolved[slug] = field.type === 'MultiReference' ? ids : ids[0];
+    if (resolved[slug] === undefined) delete resolved[slug];
+  });
+
+  return { data: resolved, unresolved };
+}
+
+/**
+ * Create a stub item (name + slug) for each distinct unresolved reference and
+ * add it to the lookups. Stubs are written like the import itself (live,
+ * staged or draft). Returns { created, errors }.
+ */
+export async function createReferenceStubs(client, unresolved, lookups, { isLive = false, isDraft = false } = {}) {
+  const created = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const ref of unresolved) {
+    const key = `${ref.collectionId}:${slugify(ref.value)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    try {
+      const item = await client.createItem(ref.collectionId, { name: ref.value, slug: slugify(ref.value) }, isLive, isDraft);
+      const lookup = lookups[ref.collectionId];
+      lookup.ids.add(item.id);
+      lookup.keys.set(ref.value.toLowerCase(), item.id);
+      lookup.keys.set(slugify(ref.value), item.id);
+      created.push({ ...ref, id: item.id });
+    } catch (error) {
+      errors.push({ ...ref, error: error.message });
+    }
+  }
+
+  return { created, errors };
+}
@@ -1,30 +1,58 @@
 // Webflow API v2 Client (via Netlify Functions proxy)
 
+import { buildItemIndex, matchItem, diffFieldData, DEFAULT_MATCH_FIELDS } from './importPlan';
+import { RequestScheduler, IDEMPOTENT_METHODS } from './rateLimiter';
+
 const PROXY_URL = '/.netlify/functions/webflow-proxy';
 
+// Max items per request on the v2 bulk item endpoints
+export const BULK_LIMIT = 100;
+
+// Error for non-2xx API responses, carrying the HTTP status
+export class WebflowApiError extends Error {
+  constructor(message, status, data) {
+    super(message);
+    this.name = 'WebflowApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
 class WebflowClient {
   constructor(token) {
     this.token = token;
+    this.scheduler = new RequestScheduler();
   }
 
+  // All API calls go through the scheduler, which paces them from the
+  // rate-limit headers and retries 429s (and 5xx/network errors when idempotent)
   async request(endpoint, options = {}) {
-    const response = await fetch(PROXY_URL, {
+    const method = options.method || 'GET';
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+    const response = await this.scheduler.schedule(() => fetch(PROXY_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
         endpoint,
-        method: options.method || 'GET',
+        method,
         body: options.body ? JSON.parse(options.body) : undefined,
         token: this.token,
       }),
-    });
-
-    const data = await response.json();
+    }), { idempotent });
+
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
 
     if (!response.ok) {
-      throw new Error(data.message || data.error || `API Error: ${response.status}`);
+      throw new WebflowApiError(data.message || data.error || `API Error: ${response.status}`, response.status, data);
     }
 
     return data;
@@ -50,6 +78,20 @@ class WebflowClient {
     return this.request(`/collections/${collectionId}`);
   }
 
+  // data: { displayName, singularName, slug }
+  async createCollection(siteId, data) {
+    return this.request(`/sites/${siteId}/collections`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteCollection(collectionId) {
+    return this.request(`/collections/${collectionId}`, {
+      method: 'DELETE',
+    });
+  }
+
   async getCollectionFields(collectionId) {
     const collection = await this.getCollection(collectionId);
     return collection.fields || [];
@@ -76,6 +118,29 @@ class WebflowClient {
     });
   }
 
+  // Assets
+  async getAssetFolders(siteId) {
+    const data = await this.request(`/sites/${siteId}/asset_folders`);
+    return data.assetFolders || [];
+  }
+
+  async createAssetFolder(siteId, displayName, parentFolder = null) {
+    return this.request(`/sites/${siteId}/asset_folders`, {
+      method: 'POST',
+      body: JSON.stringify({ displayName, ...(parentFolder ? { parentFolder } : {}) }),
+    });
+  }
+
+  // Creates the asset's metadata. The file itself is then POSTed to the
+  // returned uploadUrl with uploadDetails as form fields (see assetUpload.js).
+  // data: { fileName, fileHash (MD5 hex), parentFolder? }
+  async createAsset(siteId, data) {
+    return this.request(`/sites/${siteId}/assets`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
   // Collection Items
   async getItems(collectionId, options = {}) {
     const params = new URLSearchParams();
@@ -98,7 +163,6 @@ class WebflowClient {
       allItems.push(...items);
       if (items.length < limit) break;
       offset += limit;
-      await new Promise(resolve => setTimeout(resolve, 150));
     }
 
     return allItems;
@@ -108,10 +172,12 @@ class WebflowClient {
     return this.request(`/collections/${collectionId}/items/${itemId}`);
   }
 
-  async createItem(collectionId, itemData, isDraft = false) {
-    return this.request(`/collections/${collectionId}/items${isDraft ? '' : '/live'}`, {
+  // isLive writes straight to the live site; otherwise the item is staged
+  // (and marked as a draft when isDraft is set)
+  async createItem(collectionId, itemData, isLive = true, isDraft = false) {
+    return this.request(`/collections/${collectionId}/items${isLive ? '/live' : ''}`, {
       method: 'POST',
-      body: JSON.stringify({ fieldData: itemData }),
+      body: JSON.stringify({ fieldData: itemData, ...(isDraft && !isLive ? { isDraft: true } : {}) }),
     });
   }
 
@@ -122,55 +188,139 @@ class WebflowClient {
     });
   }
 
-  async deleteItem(collectionId, itemId) {
+  // Take an item's published version down. An item that isn't published has
+  // no live version (404), which counts as already done.
+  async unpublishItem(collectionId, itemId) {
+    try {
+      await this.request(`/collections/${collectionId}/items/${itemId}/live`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  // isLive also takes the published version down before deleting the item
+  async deleteItem(collectionId, itemId, isLive = false) {
+    if (isLive) await this.unpublishItem(collectionId, itemId);
     return this.request(`/collections/${collectionId}/items/${itemId}`, {
       method: 'DELETE',
     });
   }
 
-  // Bulk operations
-  async createItems(collectionId, items, isLive = true) {
+  // Bulk item endpoints (up to BULK_LIMIT items per request)
+  async createItemsBatch(collectionId, items, isLive = true, isDraft = false) {
+    const draft = isDraft && !isLive ? { isDraft: true } : {};
+    const data = await this.request(`/collections/${collectionId}/items${isLive ? '/live' : ''}`, {
+      method: 'POST',
+      body: JSON.stringify({ items: items.map(fieldData => ({ fieldData, ...draft })) }),
+    });
+    return data.items || [];
+  }
+
+  // items: [{ id, fieldData }]
+  async updateItemsBatch(collectionId, items, isLive = true) {
+    const data = await this.request(`/collections/${collectionId}/items${isLive ? '/live' : ''}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ items }),
+    });
+    return data.items || [];
+  }
+
+  async deleteItemsBatch(collectionId, itemIds, isLive = false) {
+    if (isLive) {
+      try {
+        await this.request(`/collections/${collectionId}/items/live`, {
+          method: 'DELETE',
+          body: JSON.stringify({ items: itemIds.map(id => ({ id })) }),
+        });
+      } catch (error) {
+        // A batch that includes unpublished items is rejected as a whole;
+        // unpublish one by one so those are skipped
+        if (error.status !== 404 && error.status !== 400) throw error;
+        for (const id of itemIds) await this.unpublishItem(collectionId, id);
+      }
+    }
+    return this.request(`/collections/${collectionId}/items`, {
+      method: 'DELETE',
+      body: JSON.stringify({ items: itemIds.map(id => ({ id })) }),
+    });
+  }
+
+  // Send entries through a bulk endpoint BULK_LIMIT at a time. If Webflow
+  // rejects a whole batch (4xx), nothing in it was written, so its entries are
+  // re-sent one by one to pin each error on the right row.
+  // onBatch(done, committed) receives the results written by each batch.
+  async runInBatches(entries, { sendBatch, sendOne, onBatch }) {
     const results = [];
     const errors = [];
 
-    for (let i = 0; i < items.length; i++) {
+    for (let start = 0; start < entries.length; start += BULK_LIMIT) {
+      const batch = entries.slice(start, start + BULK_LIMIT);
+      const committedFrom = results.length;
       try {
-        const result = await this.createItem(collectionId, items[i], !isLive);
-        results.push({ success: true, index: i, data: result, action: 'created' });
-
-        // Small delay to avoid rate limiting
-        if (i < items.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 150));
-        }
+        const data = await sendBatch(batch);
+        batch.forEach((entry, i) => results.push({ entry, data: data[i] }));
       } catch (error) {
-        errors.push({ success: false, index: i, error: error.message, item: items[i] });
+        const rejected = error.status >= 400 && error.status < 500 && error.status !== 429;
+        if (!rejected || batch.length === 1) {
+          batch.forEach(entry => errors.push({ entry, error: error.message }));
+        } else {
+          for (const entry of batch) {
+            try {
+              results.push({ entry, data: await sendOne(entry) });
+            } catch (itemError) {
+              errors.push({ entry, error: itemError.message });
+            }
+          }
+        }
       }
+      if (onBatch) onBatch(Math.min(start + BULK_LIMIT, entries.length), results.slice(committedFrom));
     }
 
-    return { results, errors, total: items.length };
+    return { results, errors };
   }
 
-  // Upsert: update existing items by ID or slug, create new ones
-  async upsertItems(collectionId, items, isLive = true, onProgress = null) {
-    const results = [];
-    const errors = [];
+  // Bulk operations. options.isDraft creates staged items as drafts.
+  async createItems(collectionId, items, isLive = true, onProgress = null, options = {}) {
+    const { isDraft = false } = options;
+    const entries = items.map((fieldData, index) => ({ index, fieldData }));
+
+    const { results, errors } = await this.runInBatches(entries, {
+      sendBatch: batch => this.createItemsBatch(collectionId, batch.map(e => e.fieldData), isLive, isDraft),
+      sendOne: entry => this.createItem(collectionId, entry.fieldData, isLive, isDraft),
+      onBatch: (done, committed) => onProgress && onProgress({
+        phase: 'importing',
+        message: `Processed ${done} of ${items.length}`,
+        current: done,
+        total: items.length,
+        committed: committed.map(r => ({ index: r.entry.index, id: r.data?.id, action: 'created' })),
+      }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'created' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: items[e.entry.index] })),
+      total: items.length,
+    };
+  }
+
+  // Upsert: update existing items by ID or match key (slug by default), create
+  // new ones. Items whose field data already matches are skipped.
+  // options.isDraft creates new staged items as drafts.
+  async upsertItems(collectionId, items, isLive = true, onProgress = null, options = {}) {
+    const { matchFields = DEFAULT_MATCH_FIELDS, isDraft = false } = options;
 
     // Fetch all existing items to build lookup maps
     if (onProgress) onProgress({ phase: 'fetching', message: 'Fetching existing items...' });
     const existingItems = await this.getAllItems(collectionId);
-    const slugToId = {};
-    const idSet = new Set();
-    for (const item of existingItems) {
-      if (item.fieldData?.slug) {
-        slugToId[item.fieldData.slug] = item.id;
-      }
-      idSet.add(item.id);
-    }
+    const index = buildItemIndex(existingItems, matchFields);
 
     if (onProgress) onProgress({ phase: 'importing', message: `Found ${existingItems.length} existing items. Starting upsert...` });
 
     // Build diagnostic info for debugging
     const _debug = {
+      matchFields,
       existingCount: existingItems.length,
       existingIds: existingItems.slice(0, 5).map(i => i.id),
       existingSlugs: existingItems.slice(0, 5).map(i => i.fieldData?.slug),
@@ -178,48 +328,201 @@ class WebflowClient {
       incomingSlugs: items.slice(0, 5).map(i => i.slug).filter(Boolean),
     };
 
-    for (let i = 0; i < items.length; i++) {
-      try {
-        // Extract id from the item data (not a CMS field, it's the item identifier)
-        const { id: itemId, ...fieldData } = items[i];
-
-        // Determine the existing item ID to update
-        let existingId = null;
-        if (itemId && idSet.has(itemId)) {
-          existingId = itemId;
-        } else if (fieldData.slug && slugToId[fieldData.slug]) {
-          existingId = slugToId[fieldData.slug];
-        }
+    // Sort rows into creates, updates and no-ops
+    const creates = [];
+    const updates = [];
+    const results = [];
+    items.forEach((item, i) => {
+      // Extract id from the item data (not a CMS field, it's the item identifier)
+      const { id: _id, ...fieldData } = item;
+      const existing = matchItem(index, item);
+
+      if (!existing) {
+        creates.push({ index: i, fieldData });
+        return;
+      }
 
-        let result;
-        let action;
-        if (existingId) {
-          // Update existing item
-          result = await this.updateItem(collectionId, existingId, fieldData, isLive);
-          action = 'updated';
-        } else {
-          // Create new item
-          result = await this.createItem(collectionId, fieldData, !isLive);
-          action = 'created';
-        }
+      const changedFields = diffFieldData(existing.fieldData, fieldData).map(c => c.field);
+      if (changedFields.length > 0) {
+        updates.push({ index: i, id: existing.id, fieldData, previous: existing.fieldData, changedFields });
+      } else {
+        results.push({ success: true, index: i, data: existing, action: 'unchanged' });
+      }
+    });
 
-        results.push({ success: true, index: i, data: result, action });
+    const toWrite = updates.length + creates.length;
+    const report = (offset, action) => (done, committed) => onProgress && onProgress({
+      phase: 'importing',
+      message: `Processed ${offset + done} of ${toWrite}`,
+      current: offset + done,
+      total: toWrite,
+      committed: committed.map(r => ({ index: r.entry.index, id: r.entry.id || r.data?.id, action })),
+    });
+
+    const updateRun = await this.runInBatches(updates, {
+      sendBatch: async batch => {
+        const data = await this.updateItemsBatch(collectionId, batch.map(({ id, fieldData }) => ({ id, fieldData })), isLive);
+        return batch.map(entry => data.find(d => d.id === entry.id));
+      },
+      sendOne: entry => this.updateItem(collectionId, entry.id, entry.fieldData, isLive),
+      onBatch: report(0, 'updated'),
+    });
 
-        if (onProgress) onProgress({ phase: 'importing', message: `Processed ${i + 1} of ${items.length}`, current: i + 1, total: items.length });
+    const createRun = await this.runInBatches(creates, {
+      sendBatch: batch => this.createItemsBatch(collectionId, batch.map(e => e.fieldData), isLive, isDraft),
+      sendOne: entry => this.createItem(collectionId, entry.fieldData, isLive, isDraft),
+      onBatch: report(updates.length, 'created'),
+    });
 
-        // Rate limit delay
-        if (i < items.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-      } catch (error) {
-        errors.push({ success: false, index: i, error: error.message, item: items[i] });
-      }
-    }
+    results.push(
+      ...updateRun.results.map(r => ({
+        success: true,
+        index: r.entry.index,
+        data: r.data,
+        action: 'updated',
+        itemId: r.entry.id,
+        previous: r.entry.previous,
+        changedFields: r.entry.changedFields,
+      })),
+      ...createRun.results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'created' })),
+    );
+    results.sort((a, b) => a.index - b.index);
+
+    const errors = [...updateRun.errors, ...createRun.errors]
+      .map(e => ({ success: false, index: e.entry.index, error: e.error, item: items[e.entry.index] }))
+      .sort((a, b) => a.index - b.index);
 
     const updated = results.filter(r => r.action === 'updated').length;
     const created = results.filter(r => r.action === 'created').length;
+    const unchanged = results.filter(r => r.action === 'unchanged').length;
 
-    return { results, errors, total: items.length, updated, created, _debug };
+    return { results, errors, total: items.length, updated, created, unchanged, _debug };
+  }
+
+  // Update many items by ID. entries: [{ id, fieldData }]
+  async updateItems(collectionId, entries, isLive = true, onProgress = null) {
+    const indexed = entries.map((entry, index) => ({ index, ...entry }));
+
+    const { results, errors } = await this.runInBatches(indexed, {
+      sendBatch: async batch => {
+        const data = await this.updateItemsBatch(collectionId, batch.map(({ id, fieldData }) => ({ id, fieldData })), isLive);
+        return batch.map(entry => data.find(d => d.id === entry.id));
+      },
+      sendOne: entry => this.updateItem(collectionId, entry.id, entry.fieldData, isLive),
+      onBatch: done => onProgress && onProgress({ phase: 'updating', message: `Updated ${done} of ${entries.length}`, current: done, total: entries.length }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'updated' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: entries[e.entry.index] })),
+      total: entries.length,
+    };
+  }
+
+  // Set item status flags on many items, e.g. { isArchived: true } or { isDraft: false }
+  async setItemsStatus(collectionId, itemIds, status, onProgress = null) {
+    const entries = itemIds.map((id, index) => ({ index, id }));
+
+    const { results, errors } = await this.runInBatches(entries, {
+      sendBatch: async batch => {
+        const data = await this.request(`/collections/${collectionId}/items`, {
+          method: 'PATCH',
+          body: JSON.stringify({ items: batch.map(e => ({ id: e.id, ...status })) }),
+        });
+        return batch.map(e => (data.items || []).find(d => d.id === e.id));
+      },
+      sendOne: entry => this.request(`/collections/${collectionId}/items/${entry.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(status),
+      }),
+      onBatch: done => onProgress && onProgress({ phase: 'updating', message: `Updated ${done} of ${itemIds.length}`, current: done, total: itemIds.length }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'updated' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: { id: e.entry.id } })),
+      total: itemIds.length,
+    };
+  }
+
+  // Take the published versions of many items off the live site
+  async unpublishItems(collectionId, itemIds, onProgress = null) {
+    const entries = itemIds.map((id, index) => ({ index, id }));
+
+    const { results, errors } = await this.runInBatches(entries, {
+      sendBatch: async batch => {
+        await this.request(`/collections/${collectionId}/items/live`, {
+          method: 'DELETE',
+          body: JSON.stringify({ items: batch.map(e => ({ id: e.id })) }),
+        });
+        return batch.map(e => ({ id: e.id }));
+      },
+      sendOne: async entry => {
+        await this.request(`/collections/${collectionId}/items/${entry.id}/live`, { method: 'DELETE' });
+        return { id: entry.id };
+      },
+      onBatch: done => onProgress && onProgress({ phase: 'unpublishing', message: `Unpublished ${done} of ${itemIds.length}`, current: done, total: itemIds.length }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'unpublished' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: { id: e.entry.id } })),
+      total: itemIds.length,
+    };
+  }
+
+  // Delete many items; returns per-item results like the other bulk helpers
+  async deleteItems(collectionId, itemIds, isLive = false, onProgress = null) {
+    const entries = itemIds.map((id, index) => ({ index, id }));
+
+    const { results, errors } = await this.runInBatches(entries, {
+      sendBatch: async batch => {
+        await this.deleteItemsBatch(collectionId, batch.map(e => e.id), isLive);
+        return batch.map(e => ({ id: e.id }));
+      },
+      sendOne: async entry => {
+        await this.deleteItem(collectionId, entry.id, isLive);
+        return { id: entry.id };
+      },
+      onBatch: done => onProgress && onProgress({ phase: 'deleting', message: `Deleted ${done} of ${itemIds.length}`, current: done, total: itemIds.length }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'deleted' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: { id: e.entry.id } })),
+      total: itemIds.length,
+    };
+  }
+
+  // Publish staged items (up to BULK_LIMIT per request)
+  async publishItems(collectionId, itemIds, onProgress = null) {
+    const entries = itemIds.map((id, index) => ({ index, id }));
+
+    const { results, errors } = await this.runInBatches(entries, {
+      sendBatch: async batch => {
+        await this.request(`/collections/${collectionId}/items/publish`, {
+          method: 'POST',
+          body: JSON.stringify({ itemIds: batch.map(e => e.id) }),
+          idempotent: true,
+        });
+        return batch.map(e => ({ id: e.id }));
+      },
+      sendOne: async entry => {
+        await this.request(`/collections/${collectionId}/items/publish`, {
+          method: 'POST',
+          body: JSON.stringify({ itemIds: [entry.id] }),
+          idempotent: true,
+        });
+        return { id: entry.id };
+      },
+      onBatch: done => onProgress && onProgress({ phase: 'publishing', message: `Published ${done} of ${itemIds.length}`, current: done, total: itemIds.length }),
+    });
+
+    return {
+      results: results.map(r => ({ success: true, index: r.entry.index, data: r.data, action: 'published' })),
+      errors: errors.map(e => ({ success: false, index: e.entry.index, error: e.error, item: { id: e.entry.id } })),
+      total: itemIds.length,
+    };
   }
 
   // Publish
@@ -231,6 +534,13 @@ class WebflowClient {
   }
 }
 
+// Where imports write items
+export const PUBLISH_TARGETS = {
+  'draft': { label: 'Drafts', description: 'Create new items as drafts and save updates to staged; nothing is published' },
+  'staged': { label: 'Staged + Publish', description: 'Write to staged, then publish only the items this import touched' },
+  'live': { label: 'Live', description: 'Write straight to the live site' },
+};
+
 // Helper to validate API token format
 export function isValidToken(token) {
   return token && token.length > 20;
@@ -1,8 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Dev-only stand-in for Webflow's asset upload target: accepts the form POST
+// and discards the file. Point VITE_ASSET_UPLOAD_URL at /__asset-upload to use it.
+const assetUploadStandIn = {
+  name: 'asset-upload-stand-in',
+  apply: 'serve',
+  configureServer(server) {
+    server.middlewares.use('/__asset-upload', (req, res) => {
+      req.resume()
+      req.on('end', () => {
+        res.statusCode = req.method === 'POST' ? 201 : 405
+        res.end()
+      })
+    })
+  },
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), assetUploadStandIn],
   build: {
     outDir: 'dist'
   }